@@ -68,6 +68,16 @@ const SCALES = [
     { name: 'Mel. Minor', intervals: [1, 0, 1, 1, 0, 1, 0, 1, 0, 1, 0, 1] },
 ];
 
+// Groove templates: per-16th timing offsets for one bar, wrapping by step position.
+// unit 'ticks' = 24 PPQN clock ticks (scaled by the track's tempo modifier),
+// unit 'ms' = absolute milliseconds. Imported templates use the same shape.
+const GROOVE_TEMPLATES = [
+    { name: 'Shuffle Light', unit: 'ticks', offsets: [0, 1] },
+    { name: 'Shuffle Triplet', unit: 'ticks', offsets: [0, 2] },
+    { name: 'Lazy Offbeats', unit: 'ms', offsets: [0, 20, 0, 28, 0, 16, 0, 32] },
+    { name: 'Drunk 16ths', unit: 'ms', offsets: [0, 30, 0, 12, 0, 24, 0, 8, 0, 34, 0, 14, 0, 26, 0, 10] },
+];
+
 // ──────────────────────────────────────────────
 // STATE
 // ──────────────────────────────────────────────
@@ -87,29 +97,79 @@ function createStep() {
         triplet: false,
         doubleNote: false,
         singleTriplet: false,
-        octave: 0
+        octave: 0,
+        ratchet: 1,             // repeats within the step (1-8)
+        ratchetRamp: null,      // ratchet velocity ramp: null, 'up', 'down'
+        microTiming: 0,         // nudge in clock ticks at 24 PPQN (-5..+5)
+        probability: 100,       // trigger chance in % (evaluated once per pass)
+        condition: null,        // trig condition: null, 'A:B', 'fill', '!fill', 'first', 'pre'
+        locks: {}               // parameter locks: gain, pitch, startOffset, attack..release, 'cc:<num>'
     };
 }
 
+// Small-grid pads in 'condition' mode. Ratio pads cycle 1:B → B:B on repeat press.
+const TRIG_CONDITION_PADS = [null, 'ratio:2', 'ratio:3', 'ratio:4', 'fill', '!fill', 'first', 'pre'];
+
+// Small-grid pads in 'micro' mode (ticks early/late). Finer nudges: hold step + ←/→ on the Launchpad.
+const MICRO_TIMING_PADS = [-5, -3, -2, -1, 1, 2, 3, 5];
+const MICRO_TIMING_MAX = 5;
+
+// Patterns start at one page and grow (up to MAX_TRACK_LENGTH) as the track gets longer
+const STEPS_PER_PAGE = 16;
+const MAX_TRACK_LENGTH = 64;
+
 function createTrack(index) {
     return {
-        pattern: Array.from({ length: 16 }, () => createStep()),
+        pattern: Array.from({ length: STEPS_PER_PAGE }, () => createStep()),
         trackLength: 16,
         midiRoot: 60,
+        drum: index < 8,        // drum tracks (the built-in kit on 1-8) ignore transpose
         color: TRACK_COLORS[index],
         colorDim: TRACK_COLORS_DIM[index],
         muted: false,
+        solo: false,
+        muteGroup: null,        // mute group 0-7 (switched together), null = none
+        chokeGroup: null,       // choke group 0-7: a hit cuts the group's other sample voices
         tempoModifier: 1,
-        channel: index
+        direction: 'forward',   // 'forward', 'reverse', 'pendulum', 'random', 'drunk'
+        channel: index,
+        swing: null,            // null = follow global swing, else 50-75 (%)
+        groove: null,           // null = follow global groove, 'none' = off, else template name
+        midiCCs: [{ cc: 74, value: 64 }, { cc: 71, value: 64 }],  // track CC knobs (p-lockable)
+        ccLanes: []             // CC automation lanes: { cc, values[16], smooth }
     };
 }
 
 function createScene() {
     return {
-        tracks: Array.from({ length: 16 }, (_, i) => createTrack(i))
+        tracks: Array.from({ length: 16 }, (_, i) => createTrack(i)),
+        name: '',               // empty = "Scene N"
+        color: null,            // index into SCENE_COLORS, null = uncoloured
+        followAction: createFollowAction()
     };
 }
 
+// The four centre pads show one bank of scenes at a time
+const SCENES_PER_BANK = 4;
+const DEFAULT_SCENE_COUNT = 4;  // one bank; more scenes are inserted from the scene list as needed
+const MAX_SCENES = 64;
+// Scene colours: web colour + MK2 palette index
+const SCENE_COLORS = [
+    { hex: '#ff4040', lp: 5 },
+    { hex: '#ff9020', lp: 9 },
+    { hex: '#ffe030', lp: 13 },
+    { hex: '#40e060', lp: 21 },
+    { hex: '#30d0e0', lp: 37 },
+    { hex: '#4070ff', lp: 45 },
+    { hex: '#a050ff', lp: 53 },
+    { hex: '#ff50c0', lp: 57 },
+];
+
+// After `bars` bars of this scene, launch another: 'none', 'next', 'prev', 'random' or 'scene' (target)
+function createFollowAction() {
+    return { action: 'none', bars: 4, target: 0 };
+}
+
 const state = {
     currentStep: 0,
     currentTrack: 0,
@@ -117,7 +177,8 @@ const state = {
     currentOctave: 5,
     lastPressedStep: 0,
     mode: 'seq', // 'seq', 'chords', or 'harmony'
-    smallGridMode: 'length', // 'length', 'velocity', 'octave'
+    smallGridMode: 'length', // 'length', 'velocity', 'octave', 'probability', 'condition', 'ratchet', 'micro', 'cc'
+    ccLane: 0,              // CC lane of the current track shown in the lane editor / small grid
     workspace: 0, // 0: big_grid only, 1: + notes, 2: + small grid
     page: 0, // 0 = tracks 1-8, 1 = tracks 9-16
     playing: false,
@@ -134,13 +195,36 @@ const state = {
     copyOrigin: null,
     recordMode: false,      // real-time note recording
     recHeld: false,         // REC button currently held (erase mode)
+    recordInputMode: 'live',// note input recording: 'live' (quantized while playing) or 'step'
+    recordTake: 'overdub',  // live takes: 'overdub' (layer), 'replace' (clear as the playhead passes), 'punch' (replace for one loop)
+    inputQuantize: { grid: 1, strength: 100, keepTiming: false }, // live input quantize (grid in steps)
+    projectKey: 0,          // project key (pitch class) for scale pitch pads and degree transpose
+    projectScale: null,     // SCALES index for the inner-grid pitch pads, null = chromatic
+    transpose: 0,           // live transpose of non-drum tracks, applied at playback
+    transposeMode: 'semitone', // 'semitone' or 'degree' (steps of the project scale)
+    midiRouting: createMidiRouting(), // output port per track / Harmony / Chord Field (see MIDI ROUTING)
+    midiThru: createMidiThru(),       // keyboard pass-through with transforms (see MIDI Thru)
     lastRecordedPitch: null,// last pitch from inner grid (for recording)
     metronome: false,       // metronome click on each beat
+    fill: false,            // fill mode for 'fill' / '!fill' trig conditions
+    lockMode: false,        // control changes write parameter locks to the selected step
+    stepPage: 0,            // page of 16 steps shown on the big grid ring
+    pageFollow: true,       // while playing, show the page the playhead is on
+    euclid: { hits: 4, steps: 16, rotation: 0, live: false },  // Euclidean generator settings
+    swing: 50,              // global swing: 50 = straight, 66 ≈ triplet, 75 = dotted
+    groove: null,           // global groove template name (null = none)
+    customGrooves: [],      // imported groove templates
+    launchQuantize: 0,      // scene launches wait for the next 1/4/8/16-step boundary (0 = immediate)
+    queuedScene: null,      // scene waiting for the launch boundary
+    sceneBank: 0,           // bank of scenes on the four scene pads
+    muteQuantize: false,    // mute changes wait for the next bar while playing
+    songMode: false,        // play the arrangement instead of the selected scene
+    song: { entries: [], loop: false, loopStart: 0, loopEnd: 0 },  // arrangement (see createSongEntry)
 };
 
 // Launchpad physical button state
 const lpState = {
-    heldBigGridStep: -1,    // which big grid step is currently held (-1 = none)
+    heldBigGridStep: -1,    // which step (page-absolute) is currently held on the big grid (-1 = none)
     shiftHeld: false,       // bottom-right pad [7,7] / note 18
     copyHeld: false,        // top-left pad [0,0] / note 81
     copySourceStep: -1,     // first step pressed while copy is held
@@ -247,14 +331,16 @@ const chordFieldState = {
     midiOutActiveNotes: [],   // currently sounding MIDI notes (for cleanup)
 };
 
-let scenes = [createScene(), createScene(), createScene(), createScene()];
+let scenes = Array.from({ length: DEFAULT_SCENE_COUNT }, () => createScene());
 
 // MIDI
 let midiAccess = null;
 let midiOutput = null;
 let midiInput = null;
 let launchpadOutput = null;
+let lpProfile = null;      // LAUNCHPAD_PROFILES entry for the connected Launchpad
 let clockInterval = null;
+const midiClockOutputs = new Set(); // output port IDs that receive MIDI clock / transport
 
 // ──────────────────────────────────────────────
 // MIDI SETUP
@@ -275,12 +361,15 @@ async function initMidi() {
 function populateMidiSelects() {
     const outputSelect = document.getElementById('midi-output-select');
     const inputSelect = document.getElementById('midi-input-select');
+    const noteInputSelect = document.getElementById('note-input-select');
 
     const currentOutput = outputSelect.value;
     const currentInput = inputSelect.value;
+    const currentNoteInput = noteInputSelect.value;
 
     outputSelect.innerHTML = '<option value="">None</option>';
     inputSelect.innerHTML = '<option value="">None</option>';
+    noteInputSelect.innerHTML = '<option value="">None</option>';
 
     if (!midiAccess) return;
 
@@ -292,14 +381,79 @@ function populateMidiSelects() {
     }
 
     for (const [id, input] of midiAccess.inputs) {
+        input.addEventListener('midimessage', handleControllerInput); // no-op if already listening
         const opt = document.createElement('option');
         opt.value = id;
         opt.textContent = input.name;
         inputSelect.appendChild(opt);
+        noteInputSelect.appendChild(opt.cloneNode(true));
     }
 
     if (currentOutput) outputSelect.value = currentOutput;
     if (currentInput) inputSelect.value = currentInput;
+    if (currentNoteInput) noteInputSelect.value = currentNoteInput;
+
+    renderClockOutList();
+    renderRoutingMatrix();
+    updateThruInput();
+    updateThruControls();
+}
+
+// "Clock Out" dropdown: one checkbox per MIDI output
+function renderClockOutList() {
+    const list = document.getElementById('clock-out-list');
+    if (!list) return;
+    list.innerHTML = '';
+
+    // Forget ports that have been unplugged
+    for (const id of midiClockOutputs) {
+        if (!midiAccess || !midiAccess.outputs.has(id)) midiClockOutputs.delete(id);
+    }
+
+    if (!midiAccess || midiAccess.outputs.size === 0) {
+        list.innerHTML = '<div class="clock-out-empty">No MIDI outputs</div>';
+    } else {
+        for (const [id, output] of midiAccess.outputs) {
+            const item = document.createElement('label');
+            item.className = 'clock-out-item';
+            const cb = document.createElement('input');
+            cb.type = 'checkbox';
+            cb.checked = midiClockOutputs.has(id);
+            cb.addEventListener('change', () => setClockOutput(id, cb.checked));
+            item.appendChild(cb);
+            item.appendChild(document.createTextNode(output.name));
+            list.appendChild(item);
+        }
+    }
+    updateClockOutSummary();
+}
+
+function updateClockOutSummary() {
+    const summary = document.getElementById('clock-out-summary');
+    if (!summary) return;
+    const n = midiClockOutputs.size;
+    summary.textContent = n === 0 ? 'Off' : (n === 1 ? midiAccess.outputs.get([...midiClockOutputs][0])?.name || '1 port' : `${n} ports`);
+    document.getElementById('clock-out-menu').classList.toggle('sending', n > 0);
+}
+
+function setClockOutput(id, enabled) {
+    if (enabled) {
+        midiClockOutputs.add(id);
+        // Joining mid-song: tell the device where we are before clocks arrive
+        if (state.playing && state.clockSource === 'internal') {
+            const out = midiAccess.outputs.get(id);
+            if (out) {
+                out.send(songPositionMessage(state.currentStep));
+                out.send([0xFB]);
+            }
+        }
+    } else {
+        midiClockOutputs.delete(id);
+        const out = midiAccess?.outputs.get(id);
+        if (out && state.playing) out.send([0xFC]);
+    }
+    updateClockOutSummary();
+    console.log(`⏱ Clock out ${enabled ? 'enabled' : 'disabled'}: ${midiAccess?.outputs.get(id)?.name}`);
 }
 
 function selectMidiOutput(id) {
@@ -316,33 +470,697 @@ function selectMidiInput(id) {
     if (midiInput) {
         midiInput.onmidimessage = null;
     }
+    releaseLaunchpad();
     if (!midiAccess || !id) {
         midiInput = null;
-        launchpadOutput = null;
         return;
     }
     midiInput = midiAccess.inputs.get(id);
     midiInput.onmidimessage = handleMidiInput;
 
     // Auto-detect matching Launchpad output for LED feedback
-    launchpadOutput = null;
-    const inputName = midiInput.name.toLowerCase();
-    if (inputName.includes('launchpad')) {
-        for (const [outId, output] of midiAccess.outputs) {
-            if (output.name.toLowerCase().includes('launchpad')) {
-                launchpadOutput = output;
-                console.log(`🎹 Launchpad LED output detected: ${output.name}`);
-                // Clear all LEDs first, then sync
-                clearLaunchpadLEDs();
-                setTimeout(() => updateLaunchpadLEDs(), 100);
-                break;
+    const profile = detectLaunchpadModel(midiInput.name);
+    const output = findLaunchpadOutput(midiInput.name);
+    if (profile && output) {
+        connectLaunchpad(output, profile);
+    }
+    // Ask the device who it is — the reply confirms the model, or finds a Launchpad behind an unfamiliar port name
+    _lpProbeOutput = output || [...midiAccess.outputs.values()].find(o => o.name === midiInput.name) || null;
+    if (_lpProbeOutput) _lpProbeOutput.send(LP_IDENTITY_REQUEST);
+}
+
+// ── Note Input (keyboard recording) ──
+// A second input port for a MIDI keyboard. Its notes never reach the Launchpad handlers:
+// they monitor on the selected track and, while REC is armed, record into it.
+//   Step: each note (or chord) writes the selected step, then moves to the next one
+//   Live: while playing, notes are input-quantized onto a step with their velocity and held length
+
+let noteInput = null;
+const _noteInputHeld = new Map();    // MIDI note → { step, trackStep, startTick } while the key is down
+const _noteInputSounding = new Map(); // MIDI note → { channel, output } it was monitored on, so the note-off follows it
+const _liveRecordSteps = new Map();  // step → trackStep it was last written on (chords stack there, Replace keeps it)
+const NOTE_INPUT_MAX_LENGTH = 16;    // longest recorded note, in steps
+
+function selectNoteInput(id) {
+    if (noteInput) noteInput.removeEventListener('midimessage', handleNoteInput);
+    _noteInputSounding.forEach((sent, note) => sendNoteOff(note, sent.channel, undefined, sent.output));
+    _noteInputSounding.clear();
+    _noteInputHeld.clear();
+    if (!midiAccess || !id) {
+        noteInput = null;
+        return;
+    }
+    // A listener rather than onmidimessage, so the port can also be the clock / Launchpad input
+    noteInput = midiAccess.inputs.get(id);
+    noteInput.addEventListener('midimessage', handleNoteInput);
+    console.log(`🎹 Note input: ${noteInput.name}`);
+}
+
+function handleNoteInput(event) {
+    const [status, note, velocity] = event.data;
+    const msgType = status & 0xF0;
+    if (msgType === 0x90 && velocity > 0) noteInputOn(note, velocity);
+    else if (msgType === 0x80 || msgType === 0x90) noteInputOff(note);
+}
+
+// Clock tick (fractional) that is sounding right now — the scheduler runs ahead of it
+function getNowTick() {
+    return state.clockTick + (getSchedulerTime() - scheduler.tickTime) / getTickDuration();
+}
+
+function setRecordInputMode(mode) {
+    state.recordInputMode = mode;
+    _noteInputHeld.clear();
+    console.log(`🎹 Record input: ${mode}`);
+    updateRecordControls();
+}
+
+function toggleRecordMode() {
+    state.recordMode = !state.recordMode;
+    state.recHeld = false;
+    console.log(`🔴 Record mode: ${state.recordMode ? 'ON' : 'OFF'}`);
+    renderGrid();
+}
+
+function setRecordTake(take) {
+    state.recordTake = take;
+    _punchStartTick = null;
+    _punchEndTick = null;
+    console.log(`🔴 Record take: ${take}`);
+    updateRecordControls();
+}
+
+function setInputQuantize(param, value) {
+    state.inputQuantize[param] = value;
+    updateRecordControls();
+}
+
+function updateRecordControls() {
+    document.getElementById('btn-record').classList.toggle('active', state.recordMode);
+    document.getElementById('record-input-mode').value = state.recordInputMode;
+    document.getElementById('record-take').value = state.recordTake;
+    document.getElementById('input-quantize-grid').value = state.inputQuantize.grid;
+    document.getElementById('input-quantize-strength').value = state.inputQuantize.strength;
+    document.getElementById('input-quantize-strength-value').textContent = `${state.inputQuantize.strength}%`;
+    document.getElementById('btn-keep-timing').classList.toggle('active', state.inputQuantize.keepTiming);
+}
+
+// Where a note played at `tick` lands on a track. Input quantize pulls it `strength`% of the
+// way to the grid, the nearest step takes it, and with keepTiming the rest becomes micro-timing.
+function getLiveRecordTarget(track, tick) {
+    const { grid, strength, keepTiming } = state.inputQuantize;
+    const stepTicks = state.clockResolution / track.tempoModifier;
+    const pos = tick / stepTicks;
+    const pulled = pos + (Math.round(pos / grid) * grid - pos) * strength / 100;
+    const trackStep = Math.max(0, Math.round(pulled));
+    const micro = keepTiming ? Math.round((pulled - trackStep) * stepTicks) : 0;
+    return {
+        trackStep,
+        stepIndex: getDirectionStep(track, trackStep),
+        microTiming: Math.max(-MICRO_TIMING_MAX, Math.min(MICRO_TIMING_MAX, micro))
+    };
+}
+
+// A live note stacks onto the step (instead of replacing it) when it is part of a chord
+// already written on this pass, or when overdubbing onto a step that already plays
+function isStackingRecord(step, trackStep) {
+    return _liveRecordSteps.get(step) === trackStep || (state.recordTake === 'overdub' && step.active);
+}
+
+// ── Replace / Punch takes ──
+
+let _punchStartTick = null; // clock tick where a punch-in take starts (the track's next loop)
+let _punchEndTick = null;   // clock tick where it ends, one loop later
+
+// A live take is running: live input with a keyboard connected or a note already recorded
+// on this pass. The Launchpad REC toggle alone (step recording) never erases anything.
+function isLiveTake() {
+    return state.recordMode && state.playing && state.recordInputMode === 'live' &&
+        (noteInput !== null || _liveRecordSteps.size > 0);
+}
+
+// Called every tick: a punch take starts on the track's next loop and disarms after one loop
+function updatePunchIn() {
+    if (state.recordTake !== 'punch' || !isLiveTake()) {
+        _punchStartTick = null;
+        _punchEndTick = null;
+        return;
+    }
+    const track = getCurrentTrack();
+    const loopTicks = track.trackLength * state.clockResolution / track.tempoModifier;
+    if (_punchEndTick === null) {
+        _punchStartTick = Math.ceil(state.clockTick / loopTicks - 1e-9) * loopTicks;
+        _punchEndTick = _punchStartTick + loopTicks;
+        console.log(`🔴 Punch in at the next loop: ${track.trackLength} steps`);
+    } else if (state.clockTick >= _punchEndTick) {
+        state.recordMode = false;
+        _punchStartTick = null;
+        _punchEndTick = null;
+        console.log('🔴 Punch out');
+        runAtSchedulerTime(scheduler.tickTime, renderGrid);
+    }
+}
+
+// Clear the current track's step as the playhead reaches it: REC held (erase), or a
+// live Replace / Punch take. Steps written on this pass survive.
+function eraseRecordPassStep() {
+    if (!state.recordMode || !state.playing) return;
+    if (!state.recHeld && (state.recordTake === 'overdub' || !isLiveTake())) return;
+    const track = getCurrentTrack();
+    const started = getTrackStepStartingInTick(track, state.clockTick);
+    if (!started) return;
+    // A punch take only erases inside its loop
+    const outsidePunch = state.recordTake === 'punch' && (_punchStartTick === null ||
+        started.startTick < _punchStartTick - 1e-9 || started.startTick >= _punchEndTick - 1e-9);
+    if (!state.recHeld && outsidePunch) return;
+    const step = track.pattern[getDirectionStep(track, started.trackStep)];
+    if (!step.active || (!state.recHeld && _liveRecordSteps.get(step) === started.trackStep)) return;
+    undoPush(state.recHeld ? 'Erase' : 'Record', 'track');
+    step.active = false;
+    step.pitchNote = null;
+    step.triplet = false;
+    step.doubleNote = false;
+    step.singleTriplet = false;
+}
+
+function noteInputOn(note, velocity) {
+    const track = getCurrentTrack();
+
+    // Monitor what is played
+    auditionPitch(state.currentTrack, note);
+    const output = getTrackOutput(state.currentTrack);
+    sendNoteOn(note, velocity, track.channel, undefined, output);
+    _noteInputSounding.set(note, { channel: track.channel, output });
+
+    if (!state.recordMode) return;
+    if (note >= 96) console.log(`🎹 Note ${note} is above the step range — recorded as ${foldIntoStepRange(note)}`);
+    if (state.recordInputMode === 'step') {
+        recordStepNote(track, note, velocity);
+    } else if (state.playing) {
+        recordLiveNote(track, note, velocity);
+    }
+    renderGrid();
+    updateStepInfo();
+}
+
+function noteInputOff(note) {
+    const track = getCurrentTrack();
+    // Release where the note was started — the selected track may have changed meanwhile
+    const sent = _noteInputSounding.get(note);
+    if (sent) {
+        _noteInputSounding.delete(note);
+        sendNoteOff(note, sent.channel, undefined, sent.output);
+    }
+
+    const held = _noteInputHeld.get(note);
+    if (!held) return;
+    _noteInputHeld.delete(note);
+
+    if (state.recordInputMode === 'step') {
+        // The whole chord is released: move on to the next step
+        if (_noteInputHeld.size === 0) {
+            state.lastPressedStep = (state.lastPressedStep + 1) % track.trackLength;
+            if (!state.playing || !state.pageFollow) state.stepPage = Math.floor(state.lastPressedStep / STEPS_PER_PAGE);
+        }
+    } else if (state.playing) {
+        // Held length, rounded to whole steps of this track
+        const steps = Math.round((getNowTick() - held.startTick) * track.tempoModifier / state.clockResolution);
+        held.step.length = Math.max(held.step.length, Math.max(1, Math.min(NOTE_INPUT_MAX_LENGTH, steps)));
+    }
+    renderGrid();
+    updateStepInfo();
+}
+
+// Steps hold notes 0-95: keys above fold into the top octave
+function foldIntoStepRange(note) {
+    return note < 96 ? note : 84 + note % 12;
+}
+
+// Write a note to a step. The first note of a press replaces the step's notes,
+// later notes of the same chord (or overdubs) are added to them.
+function writeRecordedNote(step, inputNote, velocity, addToChord, microTiming = 0) {
+    const note = foldIntoStepRange(inputNote);
+    if (!addToChord) {
+        step.notes.fill(false);
+        step.chords = [];
+        step.length = 1;
+        step.microTiming = microTiming;
+    }
+    step.notes[note] = true;
+    step.active = true;
+    step.velocity = velocity;
+    step.pitchNote = step.notes.indexOf(true); // lowest note drives sample pitch
+    state.lastRecordedPitch = note;
+}
+
+function recordStepNote(track, note, velocity) {
+    undoPush(`Record step ${state.lastPressedStep + 1}`, 'track');
+    const step = track.pattern[state.lastPressedStep];
+    writeRecordedNote(step, note, velocity, _noteInputHeld.size > 0);
+    _noteInputHeld.set(note, { step, trackStep: null, startTick: 0 });
+    console.log(`🎹 Step record: step ${state.lastPressedStep + 1} ← ${note}`);
+}
+
+function recordLiveNote(track, note, velocity) {
+    undoPush('Record', 'track');
+    const startTick = getNowTick();
+    const target = getLiveRecordTarget(track, startTick);
+    const step = track.pattern[target.stepIndex];
+    writeRecordedNote(step, note, velocity, isStackingRecord(step, target.trackStep), target.microTiming);
+    _liveRecordSteps.set(step, target.trackStep);
+    _noteInputHeld.set(note, { step, trackStep: target.trackStep, startTick });
+}
+
+// ── MIDI Learn (controller mapping) ──
+// Right-click a control marked data-learn, then move a knob or press a key on any input to bind it.
+// The Launchpad port and the Note In keys are left out: their messages already drive the grid and recording.
+// Press targets fire when a note goes down or a CC crosses 64 (momentary fires again on release).
+// Range targets scale a CC across min..max; a note jumps to max, back to min on the next
+// press (toggle) or on release (momentary). New mappings save with the project; the G button
+// moves one to the global profile, which lives in localStorage and applies to every project.
+
+const MIDI_MAP_STORAGE_KEY = 'octadre-midi-map';
+const midiMap = { project: [], global: [] };
+const _midiMapState = new WeakMap(); // mapping → { on, pressed } for note toggles and CC edges
+let _midiLearn = null;               // { target, el } while waiting for a control to move
+
+const MIDI_LEARN_TARGETS = {
+    'play':          { label: 'Play / Pause', press: () => togglePlay() },
+    'stop':          { label: 'Stop', press: () => stop() },
+    'bpm':           { label: 'BPM', min: 20, max: 300, set: v => setBpm(v) },
+    'sample-gain':   { label: 'Sample gain', min: 0, max: 200, set: v => setRangeControl('sample-gain', v) },
+    'rhodes-volume': { label: 'Rhodes volume', min: 0, max: 100, set: v => setRhodesVolume(v / 100) },
+    'cf-key':        { label: 'Chord Field key', min: 0, max: 11, set: v => setChordFieldKey(Math.round(v)) },
+    'cf-key-down':   { label: 'Chord Field key ◀', press: () => setChordFieldKey((chordFieldState.key + 11) % 12) },
+    'cf-key-up':     { label: 'Chord Field key ▶', press: () => setChordFieldKey((chordFieldState.key + 1) % 12) },
+    'cf-mode':       { label: 'Chord Field mode', min: 0, max: 6, set: v => setChordFieldMode(Math.round(v)) },
+    'cf-mode-down':  { label: 'Chord Field darker', press: () => setChordFieldMode(chordFieldState.modeIndex + 1) },
+    'cf-mode-up':    { label: 'Chord Field brighter', press: () => setChordFieldMode(chordFieldState.modeIndex - 1) },
+    'cf-voicing':    {
+        label: 'Chord Field voicing', min: 0, max: 7,
+        set: v => { handleChordFieldSideButton(Math.round(v)); renderGrid(); },
+    },
+};
+
+// Track mutes are 'mute:<track index>'
+function getMidiLearnTarget(id) {
+    if (typeof id !== 'string') return null;
+    const mute = /^mute:(1[0-5]|\d)$/.exec(id);
+    if (mute) {
+        const trackIndex = parseInt(mute[1]);
+        return { label: `Mute track ${trackIndex + 1}`, press: () => toggleMute(trackIndex) };
+    }
+    return Object.hasOwn(MIDI_LEARN_TARGETS, id) ? MIDI_LEARN_TARGETS[id] : null;
+}
+
+// Mappings come from localStorage and project files: keep the well-formed ones, with known targets
+function sanitizeMidiMappings(list) {
+    if (!Array.isArray(list)) return [];
+    const isMidiValue = (n, limit) => Number.isInteger(n) && n >= 0 && n < limit;
+    return list
+        .filter(m => m && getMidiLearnTarget(m.target) && (m.type === 'cc' || m.type === 'note') &&
+            typeof m.device === 'string' && isMidiValue(m.channel, 16) && isMidiValue(m.number, 128))
+        .map(m => {
+            const target = getMidiLearnTarget(m.target);
+            return {
+                target: m.target,
+                device: m.device,
+                type: m.type,
+                channel: m.channel,
+                number: m.number,
+                min: Number.isFinite(m.min) ? m.min : target.min ?? 0,
+                max: Number.isFinite(m.max) ? m.max : target.max ?? 127,
+                mode: m.mode === 'momentary' ? 'momentary' : 'toggle',
+            };
+        });
+}
+
+// Drive a slider through its own input handler (undo, p-locks and labels included)
+function setRangeControl(id, value) {
+    const el = document.getElementById(id);
+    el.value = Math.round(value);
+    el.dispatchEvent(new Event('input'));
+}
+
+function loadGlobalMidiMap() {
+    try {
+        midiMap.global = sanitizeMidiMappings(JSON.parse(localStorage.getItem(MIDI_MAP_STORAGE_KEY) || '[]'));
+    } catch (e) {
+        midiMap.global = [];
+    }
+}
+
+function saveGlobalMidiMap() {
+    localStorage.setItem(MIDI_MAP_STORAGE_KEY, JSON.stringify(midiMap.global));
+}
+
+function startMidiLearn(targetId, el) {
+    const same = _midiLearn && _midiLearn.target === targetId;
+    cancelMidiLearn();
+    if (same || !getMidiLearnTarget(targetId)) return; // right-click again to cancel
+    _midiLearn = { target: targetId, el };
+    el.classList.add('midi-learning');
+    updateMidiLearnStatus();
+}
+
+function cancelMidiLearn() {
+    if (!_midiLearn) return;
+    _midiLearn.el.classList.remove('midi-learning');
+    _midiLearn = null;
+    updateMidiLearnStatus();
+}
+
+function updateMidiLearnStatus() {
+    const status = document.getElementById('midi-learn-status');
+    status.textContent = _midiLearn
+        ? `Move a control for ${getMidiLearnTarget(_midiLearn.target).label}… (Esc cancels)`
+        : 'Right-click a control to map it to this project (G makes a mapping global)';
+    status.classList.toggle('learning', !!_midiLearn);
+}
+
+// Listens on every input, next to the Launchpad / clock and note input handlers
+function handleControllerInput(event) {
+    const [status, number, value] = event.data;
+    const msgType = status & 0xF0;
+    if (msgType !== 0x90 && msgType !== 0x80 && msgType !== 0xB0) return;
+    const source = {
+        device: event.target.name,
+        type: msgType === 0xB0 ? 'cc' : 'note',
+        channel: status & 0x0F,
+        number,
+    };
+    const amount = msgType === 0x80 ? 0 : value;
+    // Learning or mapping these would fire the mapped control and the pad / recorded note at once
+    if (midiInput && event.target.id === midiInput.id) return;
+    if (noteInput && event.target.id === noteInput.id && source.type === 'note') return;
+
+    if (_midiLearn) {
+        if (source.type === 'cc' || amount > 0) learnMidiMapping(source);
+        return;
+    }
+    for (const mapping of [...midiMap.project, ...midiMap.global]) {
+        if (mapping.device === source.device && mapping.type === source.type &&
+            mapping.channel === source.channel && mapping.number === source.number) {
+            applyMidiMapping(mapping, amount);
+        }
+    }
+}
+
+function learnMidiMapping(source) {
+    const target = getMidiLearnTarget(_midiLearn.target);
+    // A control drives one target: learning it again moves the binding
+    removeMidiMappings(m => m.device === source.device && m.type === source.type &&
+        m.channel === source.channel && m.number === source.number);
+    midiMap.project.push({
+        target: _midiLearn.target,
+        ...source,
+        min: target.min ?? 0,
+        max: target.max ?? 127,
+        mode: target.press ? 'toggle' : 'momentary',
+    });
+    console.log(`🎛 MIDI learn: ${source.type.toUpperCase()} ${source.number} ch${source.channel + 1} (${source.device}) → ${target.label}`);
+    cancelMidiLearn();
+    renderMidiMapList();
+}
+
+function applyMidiMapping(mapping, value) {
+    const target = getMidiLearnTarget(mapping.target);
+    if (!target) return;
+    const mapState = _midiMapState.get(mapping) || { on: false, pressed: false };
+    _midiMapState.set(mapping, mapState);
+
+    if (target.set && mapping.type === 'cc') {
+        target.set(mapping.min + (value / 127) * (mapping.max - mapping.min));
+        return;
+    }
+
+    const pressed = mapping.type === 'cc' ? value >= 64 : value > 0;
+    if (pressed === mapState.pressed) return; // only edges
+    mapState.pressed = pressed;
+
+    if (target.press) {
+        if (pressed || mapping.mode === 'momentary') target.press();
+    } else if (mapping.mode === 'toggle') {
+        if (!pressed) return;
+        mapState.on = !mapState.on;
+        target.set(mapState.on ? mapping.max : mapping.min);
+    } else {
+        target.set(pressed ? mapping.max : mapping.min);
+    }
+}
+
+function removeMidiMappings(predicate) {
+    const globalCount = midiMap.global.length;
+    midiMap.project = midiMap.project.filter(m => !predicate(m));
+    midiMap.global = midiMap.global.filter(m => !predicate(m));
+    if (midiMap.global.length !== globalCount) saveGlobalMidiMap();
+}
+
+// Moves a mapping between the project and the global profile
+function toggleMidiMappingScope(scope, index) {
+    const [mapping] = midiMap[scope].splice(index, 1);
+    midiMap[scope === 'project' ? 'global' : 'project'].push(mapping);
+    saveGlobalMidiMap();
+    renderMidiMapList();
+}
+
+function renderMidiMapList() {
+    const list = document.getElementById('midi-map-list');
+    const create = (tag, className, title) => {
+        const el = document.createElement(tag);
+        el.className = className;
+        if (title) el.title = title;
+        return el;
+    };
+    list.innerHTML = '';
+    for (const scope of ['project', 'global']) {
+        midiMap[scope].forEach((m, i) => {
+            const target = getMidiLearnTarget(m.target);
+            const row = create('div', 'midi-map-entry');
+            row.dataset.scope = scope;
+            row.dataset.index = i;
+
+            const name = create('span', 'midi-map-target', target.label);
+            name.textContent = target.label;
+            const source = create('span', 'midi-map-source', m.device);
+            source.textContent = `${m.type === 'cc' ? 'CC' : 'Note'} ${m.number} · ${m.channel + 1}`;
+            row.append(name, source);
+
+            if (target.set) {
+                const min = create('input', 'ctrl-number midi-map-min', 'Value at CC 0 / note off');
+                const max = create('input', 'ctrl-number midi-map-max', 'Value at CC 127 / note on');
+                min.type = max.type = 'number';
+                min.value = m.min;
+                max.value = m.max;
+                row.append(min, max);
             }
+            if (m.type === 'note' || target.press) {
+                const mode = create('select', 'ctrl-select midi-map-mode', 'Toggle: each press; Momentary: press and release');
+                mode.append(new Option('Toggle', 'toggle'), new Option('Hold', 'momentary'));
+                mode.value = m.mode;
+                row.append(mode);
+            }
+
+            const global = create('button', `midi-map-scope${scope === 'global' ? ' active' : ''}`,
+                scope === 'global'
+                    ? 'Global: applies to every project. Click to keep it with this project only'
+                    : 'Saved with this project. Click to make it global (every project)');
+            global.textContent = 'G';
+            const remove = create('button', 'midi-map-delete', 'Remove');
+            remove.textContent = '✕';
+            row.append(global, remove);
+            list.appendChild(row);
+        });
+    }
+}
+
+function bindMidiMapControls() {
+    loadGlobalMidiMap();
+    renderMidiMapList();
+    updateMidiLearnStatus();
+
+    document.addEventListener('contextmenu', (e) => {
+        const el = e.target.closest('[data-learn]');
+        if (!el || !midiAccess) return;
+        e.preventDefault();
+        startMidiLearn(el.dataset.learn, el);
+    });
+
+    const list = document.getElementById('midi-map-list');
+    list.addEventListener('click', (e) => {
+        const row = e.target.closest('.midi-map-entry');
+        if (!row) return;
+        const { scope } = row.dataset;
+        const index = parseInt(row.dataset.index);
+        if (e.target.classList.contains('midi-map-scope')) {
+            toggleMidiMappingScope(scope, index);
+        } else if (e.target.classList.contains('midi-map-delete')) {
+            const mapping = midiMap[scope][index];
+            removeMidiMappings(m => m === mapping);
+            renderMidiMapList();
+        }
+    });
+    list.addEventListener('change', (e) => {
+        const row = e.target.closest('.midi-map-entry');
+        if (!row) return;
+        const mapping = midiMap[row.dataset.scope][parseInt(row.dataset.index)];
+        if (e.target.classList.contains('midi-map-min')) mapping.min = parseFloat(e.target.value) || 0;
+        else if (e.target.classList.contains('midi-map-max')) mapping.max = parseFloat(e.target.value) || 0;
+        else if (e.target.classList.contains('midi-map-mode')) mapping.mode = e.target.value;
+        _midiMapState.delete(mapping);
+        if (row.dataset.scope === 'global') saveGlobalMidiMap();
+    });
+}
+
+// ── MIDI Thru ──
+// Forwards one input (one channel or omni) to an output, so a player can go through the app
+// into the DAW. Notes can be transposed, folded onto the Chord Field key and mode, and given a
+// velocity curve; everything else is passed on with only the channel remapped.
+// Clock and SysEx stay here. Ports are kept by name, like the routing table.
+
+const THRU_VELOCITY_CURVES = {
+    linear: v => v,
+    soft: v => Math.round(127 * Math.pow(v / 127, 0.6)), // light touch plays louder
+    hard: v => Math.round(127 * Math.pow(v / 127, 1.6)), // needs a firm hit
+    fixed: () => 100,
+};
+
+let _thruInput = null;
+const _thruHeld = new Map(); // 'channel:note' in → { note, channel, output } sent, so note-offs match
+
+function createMidiThru() {
+    return {
+        input: null,            // input port name, null = off
+        inChannel: null,        // 0-15, null = omni
+        output: null,           // output port name, null = main MIDI Out
+        outChannel: null,       // 0-15, null = keep the incoming channel
+        transpose: 0,           // semitones (-24..+24)
+        scaleQuantize: false,   // fold notes onto the Chord Field key / mode
+        velocityCurve: 'linear',
+    };
+}
+
+// Attach to the named input when it is (re)connected
+function updateThruInput() {
+    const name = state.midiThru.input;
+    const input = name && midiAccess ? [...midiAccess.inputs.values()].find(i => i.name === name) || null : null;
+    if (input === _thruInput) return;
+    releaseThruNotes();
+    if (_thruInput) _thruInput.removeEventListener('midimessage', handleThruInput);
+    _thruInput = input;
+    if (_thruInput) {
+        _thruInput.addEventListener('midimessage', handleThruInput);
+        console.log(`🔁 MIDI thru: ${_thruInput.name} → ${state.midiThru.output || 'Main'}`);
+    }
+}
+
+function setMidiThru(key, value) {
+    releaseThruNotes(); // held notes were sent with the old settings
+    state.midiThru[key] = value;
+    if (key === 'input') updateThruInput();
+    updateThruControls();
+}
+
+function releaseThruNotes() {
+    _thruHeld.forEach(held => held.output.send([0x80 | held.channel, held.note, 0]));
+    _thruHeld.clear();
+}
+
+// Nearest pitch of the Chord Field scale (ties go down)
+function quantizeToChordFieldKey(note) {
+    const cf = chordFieldState;
+    const intervals = ChordFieldEngine.MODES[ChordFieldEngine.MODE_ORDER[cf.modeIndex]];
+    for (let distance = 0; distance < 12; distance++) {
+        for (const candidate of [note - distance, note + distance]) {
+            if (intervals.includes(((candidate - cf.key) % 12 + 12) % 12)) return candidate;
         }
     }
+    return note;
+}
+
+function transformThruNote(note) {
+    const thru = state.midiThru;
+    let out = note + thru.transpose;
+    if (thru.scaleQuantize) out = quantizeToChordFieldKey(out);
+    return Math.max(0, Math.min(127, out));
+}
+
+function handleThruInput(event) {
+    const data = event.data;
+    const status = data[0];
+    if (status >= 0xF0) return;
+    const thru = state.midiThru;
+    const msgType = status & 0xF0;
+    const inChannel = status & 0x0F;
+    if (thru.inChannel !== null && inChannel !== thru.inChannel) return;
+    const channel = thru.outChannel ?? inChannel;
+    const heldKey = `${inChannel}:${data[1]}`;
+
+    if (msgType === 0x90 && data[2] > 0) {
+        const output = getOutputPort(thru.output);
+        if (!output) return;
+        const note = transformThruNote(data[1]);
+        const curve = THRU_VELOCITY_CURVES[thru.velocityCurve] || THRU_VELOCITY_CURVES.linear;
+        const velocity = Math.max(1, Math.min(127, curve(data[2])));
+        _thruHeld.set(heldKey, { note, channel, output });
+        output.send([0x90 | channel, note, velocity]);
+    } else if (msgType === 0x80 || msgType === 0x90) {
+        const held = _thruHeld.get(heldKey);
+        if (!held) return;
+        _thruHeld.delete(heldKey);
+        // Two keys folded onto one note: keep it sounding until both are up
+        for (const other of _thruHeld.values()) {
+            if (other.note === held.note && other.channel === held.channel && other.output === held.output) return;
+        }
+        held.output.send([0x80 | held.channel, held.note, data[2]]);
+    } else if (msgType === 0xA0) {
+        // Poly aftertouch follows the note it was sent as
+        const held = _thruHeld.get(heldKey);
+        if (held) held.output.send([0xA0 | held.channel, held.note, data[2]]);
+    } else {
+        const output = getOutputPort(thru.output);
+        if (output) output.send([msgType | channel, ...data.slice(1)]);
+    }
+}
+
+function updateThruControls() {
+    const thru = state.midiThru;
+    const inputSelect = document.getElementById('thru-input');
+    const inputNames = midiAccess ? [...midiAccess.inputs.values()].map(i => i.name) : [];
+    if (thru.input && !inputNames.includes(thru.input)) inputNames.push(thru.input);
+    inputSelect.replaceChildren(new Option('Off', ''), ...inputNames.map(name => new Option(name, name)));
+    inputSelect.value = thru.input || '';
+    fillPortSelect(document.getElementById('thru-output'), getRoutingPortNames(), thru.output);
+    document.getElementById('thru-in-channel').value = thru.inChannel ?? '';
+    document.getElementById('thru-out-channel').value = thru.outChannel ?? '';
+    document.getElementById('thru-transpose').value = thru.transpose;
+    document.getElementById('thru-velocity').value = thru.velocityCurve;
+    document.getElementById('btn-thru-scale').classList.toggle('active', thru.scaleQuantize);
+}
+
+function bindThruControls() {
+    const channelValue = (value) => value === '' ? null : parseInt(value);
+    document.getElementById('thru-input').addEventListener('change', (e) => setMidiThru('input', e.target.value || null));
+    document.getElementById('thru-in-channel').addEventListener('change', (e) => setMidiThru('inChannel', channelValue(e.target.value)));
+    document.getElementById('thru-output').addEventListener('change', (e) => setMidiThru('output', e.target.value || null));
+    document.getElementById('thru-out-channel').addEventListener('change', (e) => setMidiThru('outChannel', channelValue(e.target.value)));
+    document.getElementById('thru-transpose').addEventListener('change', (e) => {
+        setMidiThru('transpose', Math.max(-24, Math.min(24, parseInt(e.target.value) || 0)));
+    });
+    document.getElementById('thru-velocity').addEventListener('change', (e) => setMidiThru('velocityCurve', e.target.value));
+    document.getElementById('btn-thru-scale').addEventListener('click', () => setMidiThru('scaleQuantize', !state.midiThru.scaleQuantize));
+    updateThruControls();
 }
 
 function handleMidiInput(event) {
-    const [status, data1, data2] = event.data;
+    if (event.data[0] === 0xF0) {
+        handleLaunchpadIdentity(event.data);
+        return;
+    }
+    // Other models are read as if they were an MK2 from here on
+    const data = translateLaunchpadInput(event.data);
+    if (!data) return;
+    const [status, data1, data2] = data;
     const msgType = status & 0xF0;
 
     // Raw MIDI debug (diagnose double-triggers)
@@ -351,7 +1169,9 @@ function handleMidiInput(event) {
     }
 
     // ── MIDI Clock: 0xF8 ──
+    // Following an external clock there is no lookahead — each tick is "now"
     if (status === 0xF8 && state.clockSource === 'midi') {
+        scheduler.tickTime = getSchedulerTime();
         state.clockTick++;
         playSequencer();
     }
@@ -359,6 +1179,7 @@ function handleMidiInput(event) {
     if (status === 0xFA) {
         state.clockTick = -1;
         state.currentStep = 0;
+        resetTrigState();
         state.playing = true;
         updatePlayButton();
     }
@@ -399,6 +1220,20 @@ function handleMidiInput(event) {
                 return;
             }
             const trackIndex = btnRow + (state.page * 8);
+            // Copy + side = mute group, Shift + side = solo, Left Shift + side = mute
+            if (lpState.copyHeld) {
+                toggleMuteGroup(btnRow);
+                return;
+            }
+            if (lpState.shiftHeld) {
+                toggleSolo(trackIndex);
+                return;
+            }
+            if (lpState.leftShiftHeld) {
+                lpState.leftShiftUsed = true;
+                toggleMute(trackIndex);
+                return;
+            }
             if (trackIndex < scenes[state.currentScene].tracks.length) {
                 console.log(`🎹 LP side button: note=${data1} → track ${trackIndex}`);
                 changeTrack(trackIndex);
@@ -435,12 +1270,18 @@ function handleMidiInput(event) {
             lpState.copyHeld = true;
             lpState.copySourceStep = -1;
             console.log('🎹 LP Copy button HELD');
+            updateLaunchpadLEDs(); // side buttons show mute groups while held
             return;
         }
         // Top-right pad [0,7] = note 88 → Tempo modifier cycle
         if (data1 === 88) {
+            // Shift + Tempo = cycle playback direction
+            if (lpState.shiftHeld) {
+                changeDirection();
+                return;
+            }
             changeTempo();
-            console.log(`🎹 LP Tempo modifier: ${getCurrentTrack().tempoModifier}x`);
+            console.log(`🎹 LP Tempo modifier: ${formatTempoModifier(getCurrentTrack().tempoModifier)}`);
             return;
         }
         // Bottom-right pad [7,7] = note 18 → Shift (hold for BPM)
@@ -453,6 +1294,7 @@ function handleMidiInput(event) {
             }
             lpState.shiftHeld = true;
             console.log('🎹 LP Shift button HELD');
+            renderGrid(); // show the step page overlay
             return;
         }
         // Bottom-left pad [7,0] = note 11 → Left Shift
@@ -489,25 +1331,46 @@ function handleMidiInput(event) {
                 }
 
                 const bigIdx = BIG_GRID_POSITIONS.findIndex(([r, c]) => r === gridRow && c === gridCol);
+                const stepIdx = bigIdx === -1 ? -1 : padToStep(bigIdx);
+
+                // ── Shift + first big grid pads = step page, 5th pad = page follow ──
+                if (lpState.shiftHeld && state.mode === 'seq' && bigIdx !== -1 && bigIdx <= 4) {
+                    if (bigIdx < 4) setStepPage(bigIdx);
+                    else togglePageFollow();
+                    return;
+                }
 
                 // ── Left Shift + big grid step = set track length ──
                 if (lpState.leftShiftHeld && bigIdx !== -1) {
-                    const newLength = bigIdx + 1;
+                    const newLength = stepIdx + 1;
                     changeTrackLength(newLength);
                     lpState.leftShiftUsed = true;
                     console.log(`🎹 LP Track length set to ${newLength}`);
                     return;
                 }
 
+                // ── Shift + inner pad = Euclidean hits (1-12) over the track length,
+                //    Shift + small pad = rotation (0-7) ──
+                if (lpState.shiftHeld && state.mode === 'seq') {
+                    const innerHit = LP_INNER_GRID.indexOf(data1);
+                    const smallHit = LP_SMALL_GRID.indexOf(data1);
+                    if (innerHit !== -1 || smallHit !== -1) {
+                        state.euclid.steps = getCurrentTrack().trackLength;
+                        if (innerHit !== -1) state.euclid.hits = innerHit + 1;
+                        else state.euclid.rotation = smallHit;
+                        state.euclid.hits = Math.min(state.euclid.hits, state.euclid.steps);
+                        state.euclid.rotation = Math.min(state.euclid.rotation, state.euclid.steps - 1);
+                        generateEuclidean();
+                        return;
+                    }
+                }
+
                 // ── Left Shift + inner grid pad = toggle record mode ──
                 const innerIdx = LP_INNER_GRID.indexOf(data1);
                 if (lpState.leftShiftHeld && innerIdx !== -1) {
                     state.recordMode = !state.recordMode;
                     lpState.leftShiftUsed = true;
                     console.log(`🔴 Record mode: ${state.recordMode ? 'ON' : 'OFF'}`);
-                    if (launchpadOutput) {
-                        launchpadOutput.send([0x90, 11, state.recordMode ? 5 : 1]);
-                    }
                     renderGrid();
                     return;
                 }
@@ -516,15 +1379,17 @@ function handleMidiInput(event) {
                 if (lpState.copyHeld && bigIdx !== -1) {
                     if (lpState.copySourceStep === -1) {
                         // First press — set source
-                        lpState.copySourceStep = bigIdx;
-                        state.lastPressedStep = bigIdx;
-                        console.log(`🎹 LP Copy source: step ${bigIdx}`);
+                        lpState.copySourceStep = stepIdx;
+                        state.lastPressedStep = stepIdx;
+                        console.log(`🎹 LP Copy source: step ${stepIdx}`);
                         renderGrid();
                     } else {
-                        // Second press — execute copy
+                        // Second press — execute copy (source may be on another page)
+                        undoPush(`Paste step ${stepIdx + 1}`, 'track');
                         const track = getCurrentTrack();
-                        track.pattern[bigIdx] = JSON.parse(JSON.stringify(track.pattern[lpState.copySourceStep]));
-                        console.log(`🎹 LP Copy: step ${lpState.copySourceStep} → step ${bigIdx}`);
+                        ensurePatternLength(track, stepIdx + 1);
+                        track.pattern[stepIdx] = JSON.parse(JSON.stringify(track.pattern[lpState.copySourceStep]));
+                        console.log(`🎹 LP Copy: step ${lpState.copySourceStep} → step ${stepIdx}`);
                         lpState.copySourceStep = -1;
                         renderGrid();
                         updateStepInfo();
@@ -534,15 +1399,16 @@ function handleMidiInput(event) {
 
                 // ── Triplet creation: hold step A, press step B ──
                 // A+1 = 16th triplet (3 in 2 sixteenths),  A+4 = 8th triplet (3 in 1 quarter)
-                if (bigIdx !== -1 && lpState.heldBigGridStep !== -1 && bigIdx !== lpState.heldBigGridStep) {
-                    const stepA = Math.min(lpState.heldBigGridStep, bigIdx);
-                    const stepB = Math.max(lpState.heldBigGridStep, bigIdx);
+                if (bigIdx !== -1 && lpState.heldBigGridStep !== -1 && stepIdx !== lpState.heldBigGridStep) {
+                    const stepA = Math.min(lpState.heldBigGridStep, stepIdx);
+                    const stepB = Math.max(lpState.heldBigGridStep, stepIdx);
                     const gap = stepB - stepA;
 
                     if (gap === 1 || gap === 3) {
                         const tripletType = gap === 1 ? '16th' : '8th';
                         const track = getCurrentTrack();
                         if (stepB < track.trackLength) {
+                            undoPush(`Triplet step ${stepA + 1}`, 'track');
                             // Step A = triplet source
                             track.pattern[stepA].active = true;
                             track.pattern[stepA].triplet = true;
@@ -572,7 +1438,7 @@ function handleMidiInput(event) {
 
                 // Track which big grid step is held (for triplet detection)
                 if (bigIdx !== -1) {
-                    lpState.heldBigGridStep = bigIdx;
+                    lpState.heldBigGridStep = stepIdx;
                 }
 
                 console.log(`🎹 LP pad: note=${data1} → grid[${gridRow},${gridCol}]`);
@@ -589,12 +1455,14 @@ function handleMidiInput(event) {
             lpState.copyHeld = false;
             lpState.copySourceStep = -1;
             console.log('🎹 LP Copy button RELEASED');
+            updateLaunchpadLEDs();
             return;
         }
         // Release shift button
         if (data1 === 18) {
             lpState.shiftHeld = false;
             console.log('🎹 LP Shift button RELEASED');
+            renderGrid();
             return;
         }
         // Release left shift button
@@ -617,8 +1485,10 @@ function handleMidiInput(event) {
             const gridRow = 8 - Math.floor(data1 / 10);
             const gridCol = (data1 % 10) - 1;
             const bigIdx = BIG_GRID_POSITIONS.findIndex(([r, c]) => r === gridRow && c === gridCol);
-            if (bigIdx !== -1 && bigIdx === lpState.heldBigGridStep) {
+            // (compare ring positions — a following page may have moved on since the press)
+            if (bigIdx !== -1 && lpState.heldBigGridStep % STEPS_PER_PAGE === bigIdx) {
                 lpState.heldBigGridStep = -1;
+                updateLockControls();
             }
             // Chord field: release held chord on LP pad off
             if (state.mode === 'chordfield') {
@@ -639,6 +1509,12 @@ function handleMidiInput(event) {
                 return;
             }
 
+            // Holding a big-grid step: arrows edit its ratchet and micro-timing
+            if (state.mode === 'seq' && lpState.heldBigGridStep !== -1 && buttonIdx <= 3) {
+                editHeldStep(buttonIdx);
+                return;
+            }
+
             switch (buttonIdx) {
                 case 0: // Up arrow
                     if (lpState.shiftHeld) {
@@ -660,20 +1536,24 @@ function handleMidiInput(event) {
                         if (state.currentTrack < scenes[state.currentScene].tracks.length - 1) changeTrack(state.currentTrack + 1);
                     }
                     break;
-                case 2: // Left arrow — nudge pattern left
-                    shiftPatternLeft();
+                case 2: // Left arrow — nudge pattern left (Shift: previous small-grid mode)
+                    if (lpState.shiftHeld) cycleSmallGridMode('down');
+                    else shiftPatternLeft();
                     break;
-                case 3: // Right arrow — nudge pattern right
-                    shiftPatternRight();
+                case 3: // Right arrow — nudge pattern right (Shift: next small-grid mode)
+                    if (lpState.shiftHeld) cycleSmallGridMode('up');
+                    else shiftPatternRight();
                     break;
                 case 4: // Session — cycle through modes: seq→chords→harmony→sample→chordfield
                     toggleMode();
                     break;
-                case 5: // User 1 — page 0 (tracks 1-8)
-                    changePage(0);
+                case 5: // User 1 — page 0 (tracks 1-8), Shift: undo
+                    if (lpState.shiftHeld) undo();
+                    else changePage(0);
                     break;
-                case 6: // User 2 — page 1 (tracks 9-16)
-                    changePage(1);
+                case 6: // User 2 — page 1 (tracks 9-16), Shift: redo
+                    if (lpState.shiftHeld) redo();
+                    else changePage(1);
                     break;
                 case 7: // Mixer — toggle play
                     if (state.playing) {
@@ -692,14 +1572,207 @@ function handleMidiInput(event) {
 }
 
 // ══════════════════════════════════════════════════════════
-// Launchpad MK2 LED Feedback (matching original Octadre)
+// Launchpad LED Feedback (matching original Octadre)
 // ══════════════════════════════════════════════════════════
 
-// SysEx headers from the original Octadre render.js
-const LP_SYSEX_HEADER = [240, 0, 32, 41, 2, 24, 10]; // Set LED
-const LP_SYSEX_SET_ALL = [240, 0, 32, 41, 2, 24, 14]; // Set all LEDs
-const LP_SYSEX_FLASH = [240, 0, 32, 41, 2, 24, 40, 0]; // Flash LED
-const LP_SYSEX_END = 247;
+// ── Launchpad models ──
+// The app speaks MK2 internally: grid notes 11-88, side buttons 19-89, top row as buttons 0-7
+// (Up, Down, Left, Right, Session, User1, User2, Mixer). Each profile maps its device onto that.
+//   MK2:              side buttons are notes, top row is CC 104-111, session layout via SysEx 0x22
+//   Mini MK3 / X:     programmer mode (SysEx 0x0E), side buttons are CCs, top row is CC 91-98
+//   Pro MK3:          as above; the eight buttons over the grid map positionally
+// MK3-generation units also take full RGB colours (rgb: true).
+const LAUNCHPAD_PROFILES = {
+    mk2: {
+        name: 'Launchpad MK2',
+        deviceId: 0x18,
+        family: [0x69, 0x00],
+        match: /launchpad mk2/i,
+        topCC: [104, 105, 106, 107, 108, 109, 110, 111],
+        sideCC: false,
+        rgb: false,
+        enterMode: [0x22, 0x00],   // session layout
+        exitMode: null,
+    },
+    minimk3: {
+        name: 'Launchpad Mini MK3',
+        deviceId: 0x0D,
+        family: [0x13, 0x01],
+        match: /mini ?mk3|lpminimk3/i,
+        topCC: [91, 92, 93, 94, 95, 96, 97, 98],
+        sideCC: true,
+        rgb: true,                 // LED lighting spec type 3
+        enterMode: [0x0E, 0x01],   // programmer mode
+        exitMode: [0x0E, 0x00],
+    },
+    x: {
+        name: 'Launchpad X',
+        deviceId: 0x0C,
+        family: [0x03, 0x01],
+        match: /launchpad x\b|\blpx\b/i,
+        topCC: [91, 92, 93, 94, 95, 96, 97, 98],
+        sideCC: true,
+        rgb: true,
+        enterMode: [0x0E, 0x01],
+        exitMode: [0x0E, 0x00],
+    },
+    promk3: {
+        name: 'Launchpad Pro MK3',
+        deviceId: 0x0E,
+        family: [0x23, 0x01],
+        match: /pro ?mk3|lppromk3/i,
+        topCC: [91, 92, 93, 94, 95, 96, 97, 98],
+        sideCC: true,
+        rgb: true,
+        enterMode: [0x0E, 0x01],
+        exitMode: [0x0E, 0x00],
+    },
+};
+
+const LP_IDENTITY_REQUEST = [0xF0, 0x7E, 0x7F, 0x06, 0x01, 0xF7];
+let _lpProbeOutput = null; // output an identity request went to, waiting for the reply
+
+// Port name → profile. Any other "Launchpad" is treated as an MK2
+function detectLaunchpadModel(portName) {
+    const profile = Object.values(LAUNCHPAD_PROFILES).find(p => p.match.test(portName));
+    if (profile) return profile;
+    return /launchpad/i.test(portName) ? LAUNCHPAD_PROFILES.mk2 : null;
+}
+
+// MK3 units expose a DAW port next to the MIDI one — LEDs only answer on the MIDI port
+function findLaunchpadOutput(inputName) {
+    const outputs = [...midiAccess.outputs.values()];
+    return outputs.find(o => o.name === inputName)
+        || outputs.find(o => detectLaunchpadModel(o.name) && !/daw/i.test(o.name))
+        || null;
+}
+
+function connectLaunchpad(output, profile) {
+    launchpadOutput = output;
+    lpProfile = profile;
+    console.log(`🎹 ${profile.name} LED output detected: ${output.name}`);
+    if (profile.enterMode) output.send(lpSysEx(profile.enterMode));
+    document.getElementById('midi-input-select').title = profile.name;
+    // Clear all LEDs first, then sync
+    clearLaunchpadLEDs();
+    setTimeout(() => updateLaunchpadLEDs(), 100);
+}
+
+// Give the device back in its own mode when another input is picked
+function releaseLaunchpad() {
+    if (launchpadOutput) {
+        clearLaunchpadLEDs();
+        if (lpProfile.exitMode) launchpadOutput.send(lpSysEx(lpProfile.exitMode));
+    }
+    clearTimeout(_lpFrameTimer);
+    _lpFrameTimer = null;
+    launchpadOutput = null;
+    lpProfile = null;
+    _lpProbeOutput = null;
+    document.getElementById('midi-input-select').title = '';
+}
+
+// Identity reply: F0 7E <id> 06 02 00 20 29 <family lo> <family hi> ... F7
+function handleLaunchpadIdentity(data) {
+    if (!_lpProbeOutput || data[1] !== 0x7E || data[3] !== 0x06 || data[4] !== 0x02) return;
+    if (data[5] !== 0x00 || data[6] !== 0x20 || data[7] !== 0x29) return; // not Novation
+    const profile = Object.values(LAUNCHPAD_PROFILES).find(p => p.family[0] === data[8] && p.family[1] === data[9]);
+    if (!profile || (profile === lpProfile && launchpadOutput === _lpProbeOutput)) return;
+    connectLaunchpad(_lpProbeOutput, profile);
+}
+
+function lpSysEx(body) {
+    return [0xF0, 0x00, 0x20, 0x29, 0x02, lpProfile.deviceId, ...body, 0xF7];
+}
+
+// Incoming message → MK2 numbering (null = no MK2 equivalent, drop it)
+function translateLaunchpadInput(data) {
+    if (!lpProfile || lpProfile === LAUNCHPAD_PROFILES.mk2) return data;
+    const msgType = data[0] & 0xF0;
+    if (msgType === 0xA0 || msgType === 0xD0) return null; // pad pressure
+    if (msgType !== 0xB0) return data;
+    const topIdx = lpProfile.topCC.indexOf(data[1]);
+    if (topIdx !== -1) return [0xB0, 104 + topIdx, data[2]];
+    if (lpProfile.sideCC && data[1] % 10 === 9 && data[1] >= 19 && data[1] <= 89) {
+        return [0x90, data[1], data[2]];
+    }
+    return null;
+}
+
+// ── LED frame buffer ──
+// Renders only write into _lpFrame. At most LP_MAX_FPS times a second the frame is drawn,
+// diffed against what the device already shows and the changes go out as one SysEx.
+// An LED value is a palette index, { flash: index } or { rgb: [r, g, b] } (0-127, RGB devices only).
+// LEDs are keyed by device index: MK2 numbering for the grid and side, profile.topCC for the top row.
+const LP_MAX_FPS = 30;
+const _lpFrame = new Map();  // LED → value wanted
+const _lpSent = new Map();   // LED → value key the device is showing
+let _lpFrameTimer = null;
+let _lpLastFrameTime = 0;
+
+// Grid pads 11-88 and side buttons 19-89
+function lpSetPad(note, color) {
+    _lpFrame.set(note, color);
+}
+
+// Top row button 0-7
+function lpSetTop(index, color) {
+    if (lpProfile) _lpFrame.set(lpProfile.topCC[index], color);
+}
+
+function lpFlashPad(note, color) {
+    _lpFrame.set(note, { flash: color });
+}
+
+function lpLedKey(value) {
+    if (typeof value === 'number') return String(value);
+    return value.flash !== undefined ? `f${value.flash}` : `rgb${value.rgb.join(',')}`;
+}
+
+// Coalesce renders: one frame per LP_MAX_FPS interval, drawn just before it is sent
+function scheduleLaunchpadFrame() {
+    if (_lpFrameTimer) return;
+    const wait = Math.max(0, _lpLastFrameTime + 1000 / LP_MAX_FPS - performance.now());
+    _lpFrameTimer = setTimeout(() => {
+        _lpFrameTimer = null;
+        _lpLastFrameTime = performance.now();
+        if (!launchpadOutput) return;
+        drawLaunchpadFrame();
+        sendLaunchpadFrame();
+    }, wait);
+}
+
+function sendLaunchpadFrame() {
+    const changed = [];
+    for (const [led, value] of _lpFrame) {
+        const key = lpLedKey(value);
+        if (_lpSent.get(led) === key) continue;
+        _lpSent.set(led, key);
+        changed.push([led, value]);
+    }
+    if (changed.length === 0) return;
+
+    if (lpProfile === LAUNCHPAD_PROFILES.mk2) {
+        // MK2: Set LED (0x0A) takes LED/colour pairs; flashing (0x28, from the original Octadre render.js) is one per pad
+        const pairs = [];
+        for (const [led, value] of changed) {
+            if (typeof value === 'number') pairs.push(led, value);
+            else if (value.flash !== undefined) launchpadOutput.send(lpSysEx([0x28, 0, led, value.flash]));
+        }
+        if (pairs.length) launchpadOutput.send(lpSysEx([0x0A, ...pairs]));
+    } else {
+        // MK3 / X: LED lighting (0x03) takes up to 81 specs — 0 static, 1 flashing, 3 RGB
+        for (let i = 0; i < changed.length; i += 81) {
+            const specs = [];
+            for (const [led, value] of changed.slice(i, i + 81)) {
+                if (typeof value === 'number') specs.push(0x00, led, value);
+                else if (value.flash !== undefined) specs.push(0x01, led, 0, value.flash);
+                else specs.push(0x03, led, ...value.rgb.map(c => c & 0x7F));
+            }
+            launchpadOutput.send(lpSysEx([0x03, ...specs]));
+        }
+    }
+}
 
 // Original Octadre track colors (MK2 velocity palette)
 const LP_TRACK_COLORS = [29, 73, 81, 41, 52, 117, 112, 44, 78, 109, 77, 36, 49, 24, 108, 40];
@@ -714,6 +1787,11 @@ const LP_COLOR = {
     LENGTH: 8,
     VELOCITY: 116,
     OCTAVE: 16,
+    PROBABILITY: 37,
+    CONDITION: 53,
+    RATCHET: 57,
+    MICRO: 21,
+    CC_LANE: 45,
     BLINK: 58,
     TRIPLET: 116,
     DOUBLE_NOTE: 44,
@@ -738,14 +1816,19 @@ const LP_MUTE_BUTTONS = [89, 79, 69, 59, 49, 39, 29, 19]; // track 0=top(89), tr
 // Center 4 scene buttons: [3,3]=54, [3,4]=55, [4,3]=44, [4,4]=45
 const LP_SCENE_BUTTONS = [54, 55, 44, 45];
 
+// Sent straight away, and forgets the last frame so the next one is sent whole
 function clearLaunchpadLEDs() {
     if (!launchpadOutput) return;
-    // Send Note On with velocity 0 to every pad (turns off LEDs)
+    _lpFrame.clear();
+    _lpSent.clear();
+    // Colour 0 on every pad (turns off LEDs)
     for (let lpRow = 1; lpRow <= 8; lpRow++) {
         for (let lpCol = 1; lpCol <= 9; lpCol++) { // 1-8 grid + 9 side
-            launchpadOutput.send([0x90, lpRow * 10 + lpCol, 0]);
+            lpSetPad(lpRow * 10 + lpCol, 0);
         }
     }
+    for (let i = 0; i < 8; i++) lpSetTop(i, 0);
+    sendLaunchpadFrame();
 }
 
 // Pre-compute lookup tables (avoid rebuilding every render)
@@ -766,12 +1849,14 @@ LP_SCENE_BUTTONS.forEach((note, i) => _sceneLookup[note] = i);
 
 function updateLaunchpadLEDs() {
     if (!launchpadOutput) return;
+    scheduleLaunchpadFrame();
+}
 
+// Writes every LED into the frame buffer
+function drawLaunchpadFrame() {
     const track = getCurrentTrack();
     const trackColor = LP_TRACK_COLORS[state.currentTrack % LP_TRACK_COLORS.length];
 
-    // Use Note On (0x90) for each pad — the MK2 sets LED color from velocity
-    // This is simpler and more reliable than SysEx batches
     for (let lpRow = 1; lpRow <= 8; lpRow++) {
         for (let lpCol = 1; lpCol <= 8; lpCol++) {
             const note = lpRow * 10 + lpCol;
@@ -808,37 +1893,48 @@ function updateLaunchpadLEDs() {
                     }
                 } else if (_sceneSet.has(note)) {
                     // Scene buttons — always visible, regardless of workspace
-                    const si = _sceneLookup[note];
-                    color = (si === state.currentScene) ? LP_COLOR.ACTIVE_SCENE : LP_COLOR.WHITE_DIM;
+                    color = getScenePadLPColor(_sceneLookup[note]);
                 } else if (_bigSet.has(note)) {
                     const i = _bigLookup[note];
-                    if (state.mode === 'seq') {
-                        color = getSeqBigPadColor(i, track, trackColor);
+                    if (state.mode === 'seq' && lpState.shiftHeld && i <= 4) {
+                        color = getStepPageLPColor(i, track);
+                    } else if (state.mode === 'seq') {
+                        color = getSeqBigPadColor(getViewPage(track) * STEPS_PER_PAGE + i, track, trackColor);
+                    } else if (state.mode === 'chords') {
+                        color = getChordBigPadColor(getViewPage(track) * STEPS_PER_PAGE + i, track, trackColor);
                     } else if (state.mode === 'harmony') {
                         color = getHarmonyBigPadColor(i);
                     } else {
                         color = trackColor;
                     }
-                } else if (_innerSet.has(note) && (state.workspace > 0 || state.mode === 'harmony')) {
+                } else if (state.mode === 'seq' && lpState.shiftHeld && (_innerSet.has(note) || _smallSet.has(note))) {
+                    // Shift overlay: Euclidean hits on the inner ring, rotation on the small ring
+                    color = _innerSet.has(note)
+                        ? (_innerLookup[note] < state.euclid.hits ? LP_COLOR.ACTIVE_STEP : LP_COLOR.WHITE_DIM)
+                        : (_smallLookup[note] === state.euclid.rotation ? LP_COLOR.CURSOR : LP_COLOR.WHITE_DIM);
+                } else if (_innerSet.has(note) && (state.workspace > 0 || state.mode === 'harmony' || state.mode === 'chords')) {
                     const i = _innerLookup[note];
                     if (state.mode === 'seq') {
                         color = getSeqInnerPadColor(i, track);
+                    } else if (state.mode === 'chords') {
+                        color = getChordInnerPadColor(i, track);
                     } else if (state.mode === 'harmony') {
                         color = getHarmonyInnerPadColor(i);
                     } else {
                         color = LP_COLOR.NON_ACTIVE_NOTE;
                     }
-                } else if (_smallSet.has(note) && (state.workspace > 1 || state.mode === 'harmony')) {
+                } else if (_smallSet.has(note) && (state.workspace > 1 || state.mode === 'harmony' || state.mode === 'chords')) {
                     const i = _smallLookup[note];
                     if (state.mode === 'seq') {
                         color = getSeqSmallPadColor(i, track);
+                    } else if (state.mode === 'chords') {
+                        color = getChordSmallPadColor(i, track);
                     } else if (state.mode === 'harmony') {
                         color = getHarmonySmallPadColor(i);
                     }
                 }
 
-            // Note On ch1: sets LED color via velocity palette
-            launchpadOutput.send([0x90, note, color]);
+            lpSetPad(note, color);
         }
 
         // Side button for this row (column 9)
@@ -858,31 +1954,47 @@ function updateLaunchpadLEDs() {
                 if (trackIdx < allTracks.length) {
                     const t = allTracks[trackIdx];
                     const tColor = LP_TRACK_COLORS[trackIdx % LP_TRACK_COLORS.length];
-                    if (trackIdx === state.currentTrack) {
+                    if (lpState.copyHeld) {
+                        // Copy held: mute groups 1-8
+                        sideColor = isMuteGroupMuted(i) ? 5
+                            : getGroupMembers(scenes[state.currentScene], 'muteGroup', i).length ? LP_COLOR.WHITE_DIM : LP_COLOR.OFF;
+                    } else if (lpState.shiftHeld) {
+                        // Shift held: solo states
+                        sideColor = t.solo ? 13 : LP_COLOR.WHITE_DIM;
+                    } else if (trackIdx === state.currentTrack) {
                         sideColor = LP_COLOR.WHITE;
                     } else {
-                        sideColor = t.muted ? LP_COLOR.OFF : tColor;
+                        sideColor = isTrackAudible(scenes[state.currentScene], trackIdx) ? tColor : LP_COLOR.OFF;
                     }
                 }
             }
-            launchpadOutput.send([0x90, sideNote, sideColor]);
+            lpSetPad(sideNote, sideColor);
         }
     }
 
     // Flash the selected step using SysEx (only SysEx supports flash mode)
-    if (state.mode === 'seq' && state.lastPressedStep < LP_BIG_GRID.length) {
+    const flashPad = state.lastPressedStep - getViewPage(track) * STEPS_PER_PAGE;
+    if ((state.mode === 'seq' || state.mode === 'chords') && !lpState.shiftHeld &&
+        flashPad >= 0 && flashPad < LP_BIG_GRID.length) {
         const step = track.pattern[state.lastPressedStep];
         let flashColor;
         if (step.triplet || step.singleTriplet) flashColor = LP_COLOR.TRIPLET;
         else if (step.doubleNote) flashColor = LP_COLOR.DOUBLE_NOTE;
         else flashColor = step.active ? LP_COLOR.ACTIVE_STEP : trackColor;
 
-        const flashMsg = LP_SYSEX_FLASH.concat([LP_BIG_GRID[state.lastPressedStep], flashColor, LP_SYSEX_END]);
-        launchpadOutput.send(flashMsg);
+        lpFlashPad(LP_BIG_GRID[flashPad], flashColor);
     }
 
-    // ── Top row CC button LEDs ──
-    // CC 104-111: Up, Down, Left, Right, Session, User1, User2, Mixer
+    // Queued scene blinks until its launch boundary
+    if (state.queuedScene !== null && state.mode !== 'sample' && state.mode !== 'chordfield') {
+        const queuedPad = LP_SCENE_BUTTONS[state.queuedScene - state.sceneBank * SCENES_PER_BANK];
+        if (queuedPad !== undefined) {
+            lpFlashPad(queuedPad, LP_COLOR.ACTIVE_SCENE);
+        }
+    }
+
+    // ── Top row button LEDs ──
+    // Buttons 0-7: Up, Down, Left, Right, Session, User1, User2, Mixer
     if (state.mode === 'chordfield') {
         // In chord field mode: arrows=dim, Session=bright green, User1/2=mode brightness indicators
         const modeIdx = chordFieldState.modeIndex; // 0=brightest(Lydian) to 6=darkest(Locrian)
@@ -890,29 +2002,30 @@ function updateLaunchpadLEDs() {
         const user1Color = modeIdx > 0 ? LP_COLOR.WHITE : LP_COLOR.WHITE_DIM;
         // User2 (darker) lights up if we can go darker
         const user2Color = modeIdx < 6 ? LP_COLOR.WHITE : LP_COLOR.WHITE_DIM;
-        launchpadOutput.send([0xB0, 104, LP_COLOR.WHITE_DIM]); // Up (octave)
-        launchpadOutput.send([0xB0, 105, LP_COLOR.WHITE_DIM]); // Down (octave)
-        launchpadOutput.send([0xB0, 106, LP_COLOR.WHITE_DIM]); // Left (key)
-        launchpadOutput.send([0xB0, 107, LP_COLOR.WHITE_DIM]); // Right (key)
-        launchpadOutput.send([0xB0, 108, 21]);  // Session — green (active mode indicator)
-        launchpadOutput.send([0xB0, 109, user1Color]); // User1 (brighter mode)
-        launchpadOutput.send([0xB0, 110, user2Color]); // User2 (darker mode)
-        launchpadOutput.send([0xB0, 111, LP_COLOR.WHITE_DIM]); // Mixer (root rotation)
+        lpSetTop(0, LP_COLOR.WHITE_DIM); // Up (octave)
+        lpSetTop(1, LP_COLOR.WHITE_DIM); // Down (octave)
+        lpSetTop(2, LP_COLOR.WHITE_DIM); // Left (key)
+        lpSetTop(3, LP_COLOR.WHITE_DIM); // Right (key)
+        lpSetTop(4, 21);  // Session — green (active mode indicator)
+        lpSetTop(5, user1Color); // User1 (brighter mode)
+        lpSetTop(6, user2Color); // User2 (darker mode)
+        lpSetTop(7, LP_COLOR.WHITE_DIM); // Mixer (root rotation)
     } else {
         // Normal sequencer mode top-button LEDs
-        launchpadOutput.send([0xB0, 104, LP_COLOR.WHITE_DIM]); // Up
-        launchpadOutput.send([0xB0, 105, LP_COLOR.WHITE_DIM]); // Down
-        launchpadOutput.send([0xB0, 106, LP_COLOR.WHITE_DIM]); // Left
-        launchpadOutput.send([0xB0, 107, LP_COLOR.WHITE_DIM]); // Right
-        launchpadOutput.send([0xB0, 108, state.workspace === 0 ? LP_COLOR.WHITE : (state.workspace === 1 ? LP_COLOR.WARM_WHITE : LP_COLOR.ACTIVE_STEP)]); // Session
-        launchpadOutput.send([0xB0, 109, state.page === 0 ? LP_COLOR.WHITE : LP_COLOR.WHITE_DIM]); // User1
-        launchpadOutput.send([0xB0, 110, state.page === 1 ? LP_COLOR.WHITE : LP_COLOR.WHITE_DIM]); // User2
-        launchpadOutput.send([0xB0, 111, state.playing ? 21 : LP_COLOR.WHITE_DIM]); // Mixer (play)
+        lpSetTop(0, LP_COLOR.WHITE_DIM); // Up
+        lpSetTop(1, LP_COLOR.WHITE_DIM); // Down
+        lpSetTop(2, LP_COLOR.WHITE_DIM); // Left
+        lpSetTop(3, LP_COLOR.WHITE_DIM); // Right
+        lpSetTop(4, state.workspace === 0 ? LP_COLOR.WHITE : (state.workspace === 1 ? LP_COLOR.WARM_WHITE : LP_COLOR.ACTIVE_STEP)); // Session
+        lpSetTop(5, state.page === 0 ? LP_COLOR.WHITE : LP_COLOR.WHITE_DIM); // User1
+        lpSetTop(6, state.page === 1 ? LP_COLOR.WHITE : LP_COLOR.WHITE_DIM); // User2
+        lpSetTop(7, state.playing ? 21 : LP_COLOR.WHITE_DIM); // Mixer (play)
     }
 }
 
 // ── Sequencer LED color helpers (matching original Octadre render.js) ──
 
+// stepIndex is page-absolute (view page * 16 + ring position)
 function getSeqBigPadColor(stepIndex, track, trackColor) {
     const step = track.pattern[stepIndex];
 
@@ -921,7 +2034,7 @@ function getSeqBigPadColor(stepIndex, track, trackColor) {
 
     // Cursor (current playback position) — matches digital version
     if (state.playing && state.showCursor) {
-        const currentTrackStep = Math.floor(state.currentStep * track.tempoModifier) % track.trackLength;
+        const currentTrackStep = getTrackPlayStep(track);
         if (stepIndex === currentTrackStep) return LP_COLOR.CURSOR;
     }
 
@@ -934,15 +2047,23 @@ function getSeqBigPadColor(stepIndex, track, trackColor) {
     return trackColor;
 }
 
-function getSeqInnerPadColor(noteOffset, track) {
-    const noteIndex = (state.currentOctave * 12) + noteOffset;
+// Shift overlay: pads 1-4 = step pages (bright = shown, dim = within track length), pad 5 = follow
+function getStepPageLPColor(padIndex, track) {
+    if (padIndex === 4) return state.pageFollow ? LP_COLOR.CURSOR : LP_COLOR.WHITE_DIM;
+    if (padIndex === getViewPage(track)) return LP_COLOR.WHITE;
+    return padIndex < getPageCount(track) ? LP_COLOR.WHITE_DIM : LP_COLOR.OFF;
+}
+
+function getSeqInnerPadColor(padIndex, track) {
+    const noteIndex = getInnerPadNote(padIndex);
     const step = track.pattern[state.lastPressedStep];
 
     // Single active pitch — red if this is the selected pitch
     if (step.pitchNote === noteIndex) {
         return 5; // LP red
     }
-    return LP_COLOR.NON_ACTIVE_NOTE;
+    if (noteIndex >= 96) return LP_COLOR.OFF;
+    return isScaleRootPad(padIndex) ? LP_COLOR.TONIC : LP_COLOR.NON_ACTIVE_NOTE;
 }
 
 function getSeqSmallPadColor(gridIndex, track) {
@@ -955,10 +2076,63 @@ function getSeqSmallPadColor(gridIndex, track) {
         return gridIndex < mappedValue ? LP_COLOR.VELOCITY : LP_COLOR.OFF;
     } else if (state.smallGridMode === 'octave') {
         return gridIndex === state.currentOctave ? LP_COLOR.OCTAVE : LP_COLOR.OFF;
+    } else if (state.smallGridMode === 'probability') {
+        return gridIndex < step.probability / 12.5 ? LP_COLOR.PROBABILITY : LP_COLOR.OFF;
+    } else if (state.smallGridMode === 'condition') {
+        return gridIndex === getConditionPadIndex(step.condition) ? LP_COLOR.CONDITION : LP_COLOR.WHITE_DIM;
+    } else if (state.smallGridMode === 'ratchet') {
+        const count = step.ratchet || 1;
+        if (gridIndex === count - 1 && step.ratchetRamp) return LP_COLOR.WARM_WHITE; // ramp marker
+        return gridIndex < count ? LP_COLOR.RATCHET : LP_COLOR.OFF;
+    } else if (state.smallGridMode === 'micro') {
+        return isMicroPadLit(gridIndex, step.microTiming || 0) ? LP_COLOR.MICRO : LP_COLOR.WHITE_DIM;
+    } else if (state.smallGridMode === 'cc') {
+        const lane = getSelectedCCLane(track);
+        if (!lane) return LP_COLOR.OFF;
+        return gridIndex <= getCCLanePadLevel(lane) ? LP_COLOR.CC_LANE : LP_COLOR.OFF;
     }
     return LP_COLOR.OFF;
 }
 
+// Scene pad in the shown bank; Shift shows bank down / up on the top two pads
+function getScenePadLPColor(padIndex) {
+    if (lpState.shiftHeld) {
+        if (padIndex === 0) return state.sceneBank > 0 ? LP_COLOR.WHITE : LP_COLOR.OFF;
+        if (padIndex === 1) return state.sceneBank < getSceneBankCount() - 1 ? LP_COLOR.WHITE : LP_COLOR.OFF;
+        return LP_COLOR.OFF;
+    }
+    const sceneIndex = getScenePadScene(padIndex);
+    if (sceneIndex === -1) return LP_COLOR.OFF;
+    if (sceneIndex === state.currentScene) return LP_COLOR.ACTIVE_SCENE;
+    const color = SCENE_COLORS[scenes[sceneIndex].color];
+    return color ? color.lp : LP_COLOR.WHITE_DIM;
+}
+
+// ── Chords LED color helpers ──
+
+function getChordBigPadColor(stepIndex, track, trackColor) {
+    const step = track.pattern[stepIndex];
+    const color = getSeqBigPadColor(stepIndex, track, trackColor);
+    if (color === LP_COLOR.CURSOR || color === LP_COLOR.OFF || !step.active || !hasStepChord(step)) return color;
+    return LP_CHORD_DEGREE_COLORS[step.chords[0].degree];
+}
+
+function getChordInnerPadColor(padIndex, track) {
+    const step = track.pattern[state.lastPressedStep];
+    const chord = step.chords[0];
+    if (padIndex < 7) {
+        return chord && chord.degree === padIndex ? LP_COLOR.ACTIVE_CHORD : LP_CHORD_DEGREE_COLORS[padIndex];
+    }
+    if (padIndex === 11) return LP_COLOR.WARM_WHITE; // scale
+    return chord ? LP_COLOR.NON_ACTIVE_NOTE : LP_COLOR.OFF;
+}
+
+function getChordSmallPadColor(padIndex, track) {
+    if (padIndex >= CHORD_PLAY_MODES.length) return LP_COLOR.OFF;
+    const step = track.pattern[state.lastPressedStep];
+    return getChordPlayMode(step) === CHORD_PLAY_MODES[padIndex] ? LP_COLOR.ACTIVE_NOTE : LP_COLOR.WHITE_DIM;
+}
+
 // ── Harmony LED color helpers ──
 
 function getHarmonyBigPadColor(stepIndex) {
@@ -1056,26 +2230,40 @@ function updateMidiStatus(available) {
 // MIDI OUTPUT
 // ──────────────────────────────────────────────
 
-function sendNoteOn(note, velocity, channel) {
-    if (!midiOutput) return;
-    midiOutput.send([0x90 | (channel & 0xF), note & 0x7F, velocity & 0x7F]);
+// `timestamp` is a performance.now() time (ms) — omit to send immediately.
+// The sequencer passes scheduler timestamps so notes land exactly on the grid.
+// `output` is the routed port (see getTrackOutput) — the main MIDI Out if omitted.
+function sendNoteOn(note, velocity, channel, timestamp, output = midiOutput) {
+    if (!output) return;
+    output.send([0x90 | (channel & 0xF), note & 0x7F, velocity & 0x7F], timestamp);
 }
 
-function sendNoteOff(note, channel) {
-    if (!midiOutput) return;
-    midiOutput.send([0x80 | (channel & 0xF), note & 0x7F, 0]);
+function sendNoteOff(note, channel, timestamp, output = midiOutput) {
+    if (!output) return;
+    output.send([0x80 | (channel & 0xF), note & 0x7F, 0], timestamp);
 }
 
-function sendCC(cc, value, channel) {
-    if (!midiOutput) return;
-    midiOutput.send([0xB0 | (channel & 0xF), cc & 0x7F, value & 0x7F]);
+function sendCC(cc, value, channel, timestamp, output = midiOutput) {
+    if (!output) return;
+    output.send([0xB0 | (channel & 0xF), cc & 0x7F, value & 0x7F], timestamp);
 }
 
 function allNotesOff() {
-    if (!midiOutput) return;
-    for (let ch = 0; ch < 16; ch++) {
-        midiOutput.send([0xB0 | ch, 123, 0]); // All Notes Off CC
-    }
+    // Release notes that were sent but not yet ended
+    state.midiNotesQueue.forEach(e => {
+        if (e.sent && !e.done && e.output) e.output.send([0x80 | (e.channel & 0xF), e.note & 0x7F, 0]);
+    });
+    // All Notes Off now, and again once the lookahead window has passed —
+    // notes scheduled ahead of time may still arrive after the first one
+    const lateTs = performance.now() + scheduler.scheduleAheadSec * 1000;
+    getRoutedOutputs().forEach(output => {
+        // Drop anything the scheduler already handed to the port (where supported)
+        if (typeof output.clear === 'function') output.clear();
+        for (let ch = 0; ch < 16; ch++) {
+            output.send([0xB0 | ch, 123, 0]); // All Notes Off CC
+            output.send([0xB0 | ch, 123, 0], lateTs);
+        }
+    });
     state.midiNotesQueue = [];
     // Also clear any chord field / harmony MIDI out tracking
     chordFieldState.midiOutActiveNotes = [];
@@ -1089,9 +2277,10 @@ function allNotesOff() {
 // ──────────────────────────────────────────────
 
 function cfMidiNoteOn(note, velocity) {
-    if (!chordFieldState.midiOutEnabled || !midiOutput) return;
+    const output = getOutputPort(state.midiRouting.chordfield);
+    if (!chordFieldState.midiOutEnabled || !output) return;
     const ch = chordFieldState.midiOutChannel & 0xF;
-    midiOutput.send([0x90 | ch, note & 0x7F, (velocity || 100) & 0x7F]);
+    output.send([0x90 | ch, note & 0x7F, (velocity || 100) & 0x7F]);
     // Track for cleanup
     if (!chordFieldState.midiOutActiveNotes.includes(note)) {
         chordFieldState.midiOutActiveNotes.push(note);
@@ -1099,87 +2288,351 @@ function cfMidiNoteOn(note, velocity) {
 }
 
 function cfMidiNoteOff(note) {
-    if (!chordFieldState.midiOutEnabled || !midiOutput) return;
+    const output = getOutputPort(state.midiRouting.chordfield);
+    if (!chordFieldState.midiOutEnabled || !output) return;
     const ch = chordFieldState.midiOutChannel & 0xF;
-    midiOutput.send([0x80 | ch, note & 0x7F, 0]);
+    output.send([0x80 | ch, note & 0x7F, 0]);
     chordFieldState.midiOutActiveNotes = chordFieldState.midiOutActiveNotes.filter(n => n !== note);
 }
 
-function cfMidiAllNotesOff() {
-    if (!midiOutput) return;
+function cfMidiAllNotesOff(output = getOutputPort(state.midiRouting.chordfield)) {
+    if (!output) return;
     const ch = chordFieldState.midiOutChannel & 0xF;
     // Release all tracked notes individually (cleaner than CC 123)
     chordFieldState.midiOutActiveNotes.forEach(n => {
-        midiOutput.send([0x80 | ch, n & 0x7F, 0]);
+        output.send([0x80 | ch, n & 0x7F, 0]);
     });
     chordFieldState.midiOutActiveNotes = [];
     // Also send CC 123 as safety net
-    midiOutput.send([0xB0 | ch, 123, 0]);
+    output.send([0xB0 | ch, 123, 0]);
 }
 
-// Harmony mode MIDI mirroring
-function harmonyMidiNoteOn(note, velocity) {
-    if (!harmonyState.midiOutEnabled || !midiOutput) return;
+// Harmony mode MIDI mirroring (optional timestamp = scheduled send time in ms)
+function harmonyMidiNoteOn(note, velocity, timestamp) {
+    const output = getOutputPort(state.midiRouting.harmony);
+    if (!harmonyState.midiOutEnabled || !output) return;
     const ch = harmonyState.midiOutChannel & 0xF;
-    midiOutput.send([0x90 | ch, note & 0x7F, (velocity || 100) & 0x7F]);
+    output.send([0x90 | ch, note & 0x7F, (velocity || 100) & 0x7F], timestamp);
 }
 
-function harmonyMidiNoteOff(note) {
-    if (!harmonyState.midiOutEnabled || !midiOutput) return;
+function harmonyMidiNoteOff(note, timestamp) {
+    const output = getOutputPort(state.midiRouting.harmony);
+    if (!harmonyState.midiOutEnabled || !output) return;
     const ch = harmonyState.midiOutChannel & 0xF;
-    midiOutput.send([0x80 | ch, note & 0x7F, 0]);
+    output.send([0x80 | ch, note & 0x7F, 0], timestamp);
 }
 
-function harmonyMidiChord(notes, velocity) {
-    if (!harmonyState.midiOutEnabled || !midiOutput) return;
-    notes.forEach(n => harmonyMidiNoteOn(n, velocity));
+function harmonyMidiChord(notes, velocity, timestamp) {
+    if (!harmonyState.midiOutEnabled) return;
+    notes.forEach(n => harmonyMidiNoteOn(n, velocity, timestamp));
 }
 
-function harmonyMidiReleaseChord(notes) {
-    if (!harmonyState.midiOutEnabled || !midiOutput) return;
-    notes.forEach(n => harmonyMidiNoteOff(n));
+function harmonyMidiReleaseChord(notes, timestamp) {
+    if (!harmonyState.midiOutEnabled) return;
+    notes.forEach(n => harmonyMidiNoteOff(n, timestamp));
 }
 
-function harmonyMidiAllNotesOff() {
-    if (!midiOutput) return;
+function harmonyMidiAllNotesOff(output = getOutputPort(state.midiRouting.harmony)) {
+    if (!output) return;
     const ch = harmonyState.midiOutChannel & 0xF;
-    midiOutput.send([0xB0 | ch, 123, 0]);
+    output.send([0xB0 | ch, 123, 0]);
+}
+
+// ──────────────────────────────────────────────
+// MIDI ROUTING
+// Every track, Harmony and Chord Field name an output
+// port; null means the main MIDI Out. Ports are kept by
+// name so a project finds its interfaces again after a
+// restart. A routed port that is not connected stays
+// silent instead of landing on another instrument.
+// ──────────────────────────────────────────────
+
+function createMidiRouting() {
+    return {
+        tracks: Array(16).fill(null), // port name per track index
+        harmony: null,
+        chordfield: null,
+    };
+}
+
+function getOutputPort(portName) {
+    if (!portName) return midiOutput;
+    if (!midiAccess) return null;
+    for (const output of midiAccess.outputs.values()) {
+        if (output.name === portName) return output;
+    }
+    return null;
+}
+
+function getTrackOutput(trackIndex) {
+    return getOutputPort(state.midiRouting.tracks[trackIndex]);
+}
+
+// Every connected port something is routed to (for All Notes Off)
+function getRoutedOutputs() {
+    const routing = state.midiRouting;
+    const names = [null, ...routing.tracks, routing.harmony, routing.chordfield, state.midiThru.output];
+    const outputs = new Set(names.map(getOutputPort));
+    outputs.delete(null);
+    return outputs;
+}
+
+// source: a track index, 'harmony' or 'chordfield'
+function setMidiRoute(source, portName) {
+    const routing = state.midiRouting;
+    const name = portName || null;
+    // Silence the old port first so nothing hangs there
+    if (source === 'harmony') {
+        harmonyMidiAllNotesOff();
+        routing.harmony = name;
+    } else if (source === 'chordfield') {
+        cfMidiAllNotesOff();
+        routing.chordfield = name;
+    } else {
+        const oldOutput = getTrackOutput(source);
+        const channel = scenes[state.currentScene].tracks[source].channel;
+        if (oldOutput) oldOutput.send([0xB0 | (channel & 0xF), 123, 0]);
+        routing.tracks[source] = name;
+    }
+    console.log(`🔀 MIDI route: ${getRouteSourceLabel(source)} → ${name || 'Main'}`);
+    renderRoutingMatrix();
+}
+
+function getRouteSourceLabel(source) {
+    if (source === 'harmony') return 'Harmony';
+    if (source === 'chordfield') return 'Chord Field';
+    return `Track ${source + 1}`;
+}
+
+// Connected ports plus any routed port that is currently missing
+function getRoutingPortNames() {
+    const names = midiAccess ? [...midiAccess.outputs.values()].map(o => o.name) : [];
+    const routing = state.midiRouting;
+    [...routing.tracks, routing.harmony, routing.chordfield, state.midiThru.output].forEach(name => {
+        if (name && !names.includes(name)) names.push(name);
+    });
+    return names;
+}
+
+// Port names come from the system and from project files, so they only ever go in as text
+function fillPortSelect(select, portNames, value) {
+    select.replaceChildren(new Option('Main', ''), ...portNames.map(name =>
+        new Option(getOutputPort(name) ? name : `${name} (missing)`, name)));
+    select.value = value || '';
+}
+
+// Rows: tracks, Harmony, Chord Field. Columns: Main + each port. One lit cell per row.
+function renderRoutingMatrix() {
+    const routing = state.midiRouting;
+    const portNames = getRoutingPortNames();
+    const tracks = scenes[state.currentScene].tracks;
+
+    fillPortSelect(document.getElementById('track-output-select'), portNames, routing.tracks[state.currentTrack]);
+    fillPortSelect(document.getElementById('harmony-midi-port'), portNames, routing.harmony);
+    fillPortSelect(document.getElementById('cf-midi-port'), portNames, routing.chordfield);
+
+    const sources = [
+        ...tracks.map((track, i) => ({ source: i, label: `T${i + 1}`, channel: track.channel, port: routing.tracks[i] })),
+        { source: 'harmony', label: 'Harm', channel: harmonyState.midiOutChannel, port: routing.harmony },
+        { source: 'chordfield', label: 'CF', channel: chordFieldState.midiOutChannel, port: routing.chordfield },
+    ];
+    const columns = [null, ...portNames];
+    const table = document.createElement('table');
+    table.className = 'routing-table';
+
+    const header = table.createTHead().insertRow();
+    header.appendChild(document.createElement('th'));
+    columns.forEach(name => {
+        const missing = name && !getOutputPort(name);
+        const th = document.createElement('th');
+        if (missing) th.className = 'missing';
+        th.title = `${name || 'Main MIDI Out'}${missing ? ' (missing)' : ''}`;
+        th.textContent = name || 'Main';
+        header.appendChild(th);
+    });
+
+    const body = table.createTBody();
+    sources.forEach(row => {
+        const tr = body.insertRow();
+        if (row.source === state.currentTrack) tr.className = 'current';
+        const th = document.createElement('th');
+        th.title = `Channel ${row.channel + 1}`;
+        th.textContent = row.label;
+        tr.appendChild(th);
+        columns.forEach(name => {
+            const cell = document.createElement('button');
+            cell.className = `route-cell${(row.port || null) === name ? ' active' : ''}`;
+            cell.dataset.source = row.source;
+            cell.dataset.port = name || '';
+            cell.title = `${getRouteSourceLabel(row.source)} → ${name || 'Main'}`;
+            tr.insertCell().appendChild(cell);
+        });
+    });
+    document.getElementById('midi-routing-matrix').replaceChildren(table);
+}
+
+function bindRoutingControls() {
+    document.getElementById('midi-routing-matrix').addEventListener('click', (e) => {
+        const cell = e.target.closest('.route-cell');
+        if (!cell) return;
+        const { source } = cell.dataset;
+        setMidiRoute(source === 'harmony' || source === 'chordfield' ? source : parseInt(source), cell.dataset.port);
+    });
+    document.getElementById('track-output-select').addEventListener('change', (e) => setMidiRoute(state.currentTrack, e.target.value));
+    document.getElementById('harmony-midi-port').addEventListener('change', (e) => setMidiRoute('harmony', e.target.value));
+    document.getElementById('cf-midi-port').addEventListener('change', (e) => setMidiRoute('chordfield', e.target.value));
+}
+
+// ──────────────────────────────────────────────
+// MIDI CLOCK OUTPUT
+// Octrade as clock master: 24 PPQN clock plus
+// Start/Stop/Continue and Song Position Pointer,
+// sent to every port checked under "Clock Out".
+// ──────────────────────────────────────────────
+
+function sendClockMessage(data, timestamp) {
+    if (!midiAccess || midiClockOutputs.size === 0) return;
+    for (const id of midiClockOutputs) {
+        const out = midiAccess.outputs.get(id);
+        if (out) out.send(data, timestamp);
+    }
+}
+
+// Song Position Pointer counts MIDI beats (= 6 clocks = one 16th step)
+function songPositionMessage(position) {
+    const pos = Math.max(0, Math.min(0x3FFF, position));
+    return [0xF2, pos & 0x7F, (pos >> 7) & 0x7F];
+}
+
+// Start from the top, or Song Position + Continue when resuming mid-pattern.
+// `t` is the scheduler time of the first tick.
+function sendClockStart(t) {
+    const ts = toMidiTimestamp(t);
+    if (state.currentStep === 0 && state.clockTick === -1) {
+        sendClockMessage([0xFA], ts);
+    } else {
+        sendClockMessage(songPositionMessage(state.currentStep), ts);
+        sendClockMessage([0xFB], ts);
+    }
+}
+
+function sendClockStop() {
+    sendClockMessage([0xFC]);
 }
 
 // ──────────────────────────────────────────────
 // CLOCK & PLAYBACK
 // ──────────────────────────────────────────────
 
+// Lookahead scheduler ("two clocks" pattern): a coarse timer wakes up every
+// LOOKAHEAD_MS and processes every tick that falls inside the next
+// scheduleAheadSec. Each tick carries an exact time, so audio is started on
+// AudioContext.currentTime and MIDI is sent with MIDIOutput.send() timestamps
+// instead of "whenever the timer fired".
+const scheduler = {
+    lookaheadMs: 25,          // how often the timer wakes up
+    scheduleAheadSec: 0.1,    // how far ahead ticks are scheduled
+    nextTickTime: 0,          // scheduler time (s) of the next tick to process
+    tickTime: 0,              // scheduler time (s) of the tick being processed
+    useAudioClock: false,     // true = AudioContext clock, false = performance.now()
+};
+
+// Current time of the scheduler's clock, in seconds
+function getSchedulerTime() {
+    const ctx = window.audioEngine?.audioContext;
+    if (scheduler.useAudioClock && ctx) return ctx.currentTime;
+    return performance.now() / 1000;
+}
+
+// Seconds per MIDI clock tick (24 PPQN)
+function getTickDuration() {
+    return (60 / state.bpm) / 24;
+}
+
+// Scheduler time of a (possibly fractional) clock tick, relative to the tick being processed
+function getTickTime(clockTick) {
+    return scheduler.tickTime + (clockTick - state.clockTick) * getTickDuration();
+}
+
+// Scheduler time → AudioContext time (for source.start / envelopes)
+function toAudioTime(t) {
+    const ctx = window.audioEngine?.audioContext;
+    if (!ctx) return 0;
+    if (scheduler.useAudioClock) return t;
+    return ctx.currentTime + (t - performance.now() / 1000);
+}
+
+// Scheduler time → performance.now() timestamp (for MIDIOutput.send)
+function toMidiTimestamp(t) {
+    return performance.now() + (t - getSchedulerTime()) * 1000;
+}
+
+// Run a UI callback when the scheduled time is actually reached
+function runAtSchedulerTime(t, fn) {
+    const delayMs = (t - getSchedulerTime()) * 1000;
+    if (delayMs <= 1) fn();
+    else setTimeout(fn, delayMs);
+}
+
+function schedulerRun() {
+    if (!state.playing) return;
+    const horizon = getSchedulerTime() + scheduler.scheduleAheadSec;
+    while (scheduler.nextTickTime < horizon) {
+        scheduler.tickTime = scheduler.nextTickTime;
+        sendClockMessage([0xF8], toMidiTimestamp(scheduler.tickTime));
+        state.clockTick++;
+        playSequencer();
+        // Tempo is read per tick, so BPM changes apply without restarting the clock
+        scheduler.nextTickTime += getTickDuration();
+    }
+}
+
 function startInternalClock() {
     stopInternalClock();
     // MIDI clock sends 24 PPQN (pulses per quarter note)
     // We use clockResolution = 6 ticks per step (= 24/4 for 16th notes)
-    const tickMs = (60000 / state.bpm) / 24;
-    clockInterval = setInterval(() => {
-        if (!state.playing) return;
-        state.clockTick++;
-        playSequencer();
-    }, tickMs);
+    const ctx = window.audioEngine?.audioContext;
+    scheduler.useAudioClock = !!ctx && ctx.state === 'running';
+    // Small start offset so the first tick is scheduled ahead like the rest
+    scheduler.nextTickTime = getSchedulerTime() + 0.05;
+    sendClockStart(scheduler.nextTickTime);
+    clockInterval = setInterval(schedulerRun, scheduler.lookaheadMs);
+    schedulerRun();
 }
 
 function stopInternalClock() {
     if (clockInterval) {
         clearInterval(clockInterval);
         clockInterval = null;
+        sendClockStop();
     }
 }
 
+function setBpm(bpm) {
+    state.bpm = Math.max(20, Math.min(300, Math.round(bpm) || 120));
+    document.getElementById('bpm-input').value = state.bpm;
+    updateClockTempo();
+}
+
 function updateClockTempo() {
-    if (state.clockSource === 'internal' && state.playing) {
-        startInternalClock();
+    // Tick duration is recomputed every tick — nothing to restart. If the
+    // clock is behind (e.g. tab was throttled), resync instead of bursting.
+    if (state.clockSource === 'internal' && state.playing && clockInterval &&
+        scheduler.nextTickTime < getSchedulerTime()) {
+        scheduler.nextTickTime = getSchedulerTime();
     }
 }
 
 function togglePlay() {
     state.playing = !state.playing;
+    if (window.audioEngine) window.audioEngine.resume();
     if (state.playing) {
         state.clockTick = -1;
         state.currentStep = 0;
+        resetTrigState();
+        songPlayback.bar = 0;
+        songPlayback.ended = false;
+        _sceneBars = 0;
         if (state.clockSource === 'internal') {
             startInternalClock();
         }
@@ -1203,8 +2656,21 @@ function stop() {
     state.clockTick = -1;
     window._lastTriggeredStep = {};
     window._lastMidiStep = {};
+    resetTrigState();
+    restoreSongTempo();
+    resetSongPlayback();
+    resetSceneLaunch();
+    applyPendingMutes();
+    _liveRecordSteps.clear();
+    _punchStartTick = null;
+    _punchEndTick = null;
+    _ccLaneSent.clear();
+    // Rewind clock followers too
+    sendClockMessage(songPositionMessage(0));
     updatePlayButton();
     renderGrid();
+    renderSceneButtons();
+    renderSongList();
 }
 
 function updatePlayButton() {
@@ -1222,33 +2688,44 @@ function updatePlayButton() {
 // SEQUENCER ENGINE
 // ──────────────────────────────────────────────
 
+let _sequencerScene = 0; // scene being played, picked on each 16th step
+
 function playSequencer() {
-    if (state.clockTick % state.clockResolution === 0) {
-        // Send note-offs for expired notes
-        processNoteOffs();
-        // Queue new notes
-        queueMidiNotes();
-        // Trigger audio samples
-        triggerAudioSamples();
+    // Send note-offs for notes ending at this tick (before any new note-ons)
+    processNoteOffs();
+    const onStep = state.clockTick % state.clockResolution === 0;
+    if (onStep) {
+        if (state.currentStep % SONG_BAR_STEPS === 0) applyPendingMutes();
+        _sequencerScene = getPlayingScene();
+    }
+    if (songPlayback.ended) {
+        // Song is over — let queued notes finish until the scheduled stop
+        processNoteOns();
+        cleanupNoteQueue();
+        return;
+    }
+
+    // Track steps can start between 16ths (e.g. 1.5x, 4/3x), so check every tick
+    const startedSteps = queueMidiNotes(_sequencerScene);
+    triggerAudioSamples(_sequencerScene);
+    sendCCLanes(_sequencerScene);
+    // Live erase / Replace take: clear the edited track's steps as they pass (after they played)
+    updatePunchIn();
+    eraseRecordPassStep();
+
+    if (onStep) {
         // Trigger harmony chords
         triggerHarmonyChords();
         // Metronome click on quarter notes (every 4 steps)
         if (state.metronome && state.currentStep % 4 === 0) {
             const beat = (state.currentStep / 4) % 4;
-            playMetronomeClick(beat === 0);
-        }
-        // Live erase: hold REC button to clear steps as sequencer passes
-        if (state.recordMode && state.recHeld && state.playing) {
-            const track = getCurrentTrack();
-            const playingStep = Math.floor(state.currentStep * track.tempoModifier) % track.trackLength;
-            track.pattern[playingStep].active = false;
-            track.pattern[playingStep].pitchNote = null;
-            track.pattern[playingStep].triplet = false;
-            track.pattern[playingStep].doubleNote = false;
-            track.pattern[playingStep].singleTriplet = false;
+            playMetronomeClick(beat === 0, toAudioTime(scheduler.tickTime));
         }
         state.currentStep++;
-        renderGrid();
+        runAtSchedulerTime(scheduler.tickTime, renderGrid);
+    } else if (startedSteps.has(state.currentTrack)) {
+        // Move the cursor for off-grid steps of the track being edited
+        runAtSchedulerTime(scheduler.tickTime, renderGrid);
     }
     // Send any pending note-ons
     processNoteOns();
@@ -1256,26 +2733,27 @@ function playSequencer() {
     cleanupNoteQueue();
 }
 
-// Synthesized metronome click using oscillator
-function playMetronomeClick(isDownbeat) {
+// Synthesized metronome click using oscillator (when = AudioContext time, 0 = now)
+function playMetronomeClick(isDownbeat, when = 0) {
     const ctx = window.audioEngine?.audioContext;
     if (!ctx) return;
     if (ctx.state === 'suspended') ctx.resume();
 
     const osc = ctx.createOscillator();
     const gain = ctx.createGain();
+    const t = Math.max(when, ctx.currentTime);
 
     osc.type = 'sine';
     osc.frequency.value = isDownbeat ? 1500 : 1000;  // higher pitch on beat 1
 
-    gain.gain.setValueAtTime(0.3, ctx.currentTime);
-    gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + 0.05);
+    gain.gain.setValueAtTime(0.3, t);
+    gain.gain.exponentialRampToValueAtTime(0.001, t + 0.05);
 
     osc.connect(gain);
     gain.connect(ctx.destination);  // bypass compressor — always audible
 
-    osc.start(ctx.currentTime);
-    osc.stop(ctx.currentTime + 0.05);
+    osc.start(t);
+    osc.stop(t + 0.05);
 }
 
 function toggleMetronome() {
@@ -1285,152 +2763,1695 @@ function toggleMetronome() {
     console.log(`🔔 Metronome: ${state.metronome ? 'ON' : 'OFF'}`);
 }
 
-function triggerAudioSamples() {
+function triggerAudioSamples(sceneIndex) {
     if (!window.audioEngine || !window.audioEngine.initialized) return;
 
-    const sceneIndex = getPlayingScene();
     const scene = scenes[sceneIndex];
-    const tickMs = (60000 / state.bpm) / 24;  // ms per MIDI tick
+    const tickSec = getTickDuration();
+    if (!window._lastTriggeredStep) window._lastTriggeredStep = {};
 
     scene.tracks.forEach((track, trackIndex) => {
-        const trackStep = Math.floor(state.currentStep * track.tempoModifier);
-        const stepIndex = trackStep % track.trackLength;
-
-        // Skip if this track step hasn't changed (prevents re-trigger at half tempo)
-        if (!window._lastTriggeredStep) window._lastTriggeredStep = {};
-        if (window._lastTriggeredStep[trackIndex] === trackStep) return;
-        window._lastTriggeredStep[trackIndex] = trackStep;
+        // Skip if this track step was already handled (prevents re-trigger after a rate change)
+        const started = getTrackStepStartingInTick(track, state.clockTick);
+        if (!started || window._lastTriggeredStep[trackIndex] === started.trackStep) return;
+        window._lastTriggeredStep[trackIndex] = started.trackStep;
 
-        const step = track.pattern[stepIndex];
-        if (!step || !step.active || track.muted || !window.audioEngine.hasSample(trackIndex)) return;
+        if (!isTrackAudible(scene, trackIndex) || !window.audioEngine.hasSample(trackIndex)) return;
 
         // Skip if this track was just auditioned (prevents double-trigger during recording)
         const lastAudition = _auditionDebounce.get(trackIndex) || 0;
         if (performance.now() - lastAudition < 100) return;
 
-        // singleTriplet steps are silent — the triplet step already covers both
-        if (step.singleTriplet) return;
-
-        if (step.triplet) {
-            // 16th triplet: spacing=4 ticks (3 in 12 ticks), 8th triplet: spacing=8 ticks (3 in 24 ticks)
-            const ticks = step.tripletType === '8th' ? 8 : 4;
-            const spacingMs = (ticks / track.tempoModifier) * tickMs;
-            const pitch = getStepPitchMultiplier(step);
-            if (pitch !== null) {
-                window.audioEngine.playSampleAtPitch(trackIndex, step.velocity, pitch);
-                setTimeout(() => window.audioEngine.playSampleAtPitch(trackIndex, step.velocity, pitch), spacingMs);
-                setTimeout(() => window.audioEngine.playSampleAtPitch(trackIndex, step.velocity, pitch), spacingMs * 2);
-            } else {
-                window.audioEngine.playSample(trackIndex, step.velocity);
-                setTimeout(() => window.audioEngine.playSample(trackIndex, step.velocity), spacingMs);
-                setTimeout(() => window.audioEngine.playSample(trackIndex, step.velocity), spacingMs * 2);
+        forEachStepStartingNow(track, started.trackStep, (step, stepTrackStep, offset) => {
+            // singleTriplet steps are silent — the triplet step already covers both
+            if (!step.active || step.singleTriplet) return;
+            if (!shouldStepPlay(trackIndex, track, step, stepTrackStep)) return;
+
+            const when = toAudioTime(getTickTime(started.startTick + offset));
+            chokeTrackGroup(scene, trackIndex, when);
+            if (hasStepChord(step)) {
+                playChordSamples(trackIndex, track, step, when);
+                return;
             }
+            const pitch = getStepPitchMultiplier(track, step);
+            getStepHits(track, step).forEach(hit => {
+                const t = when + hit.offset * tickSec;
+                if (pitch !== null) {
+                    window.audioEngine.playSampleAtPitch(trackIndex, hit.velocity, pitch, t, step.locks);
+                } else {
+                    window.audioEngine.playSample(trackIndex, hit.velocity, t, step.locks);
+                }
+            });
+        });
+    });
+}
+
+// ── Swing & Groove ──
+
+function getAllGrooves() {
+    return GROOVE_TEMPLATES.concat(state.customGrooves);
+}
+
+function findGroove(name) {
+    return getAllGrooves().find(g => g.name === name) || null;
+}
+
+// Effective groove template for a track (track setting overrides the global one)
+function getTrackGroove(track) {
+    const name = track.groove == null ? state.groove : track.groove;
+    if (!name || name === 'none') return null;
+    return findGroove(name);
+}
+
+// Late-shift for a track step, in clock ticks (fractional, never negative).
+// Swing delays odd steps; the groove template adds its per-position offset.
+// Used for both MIDI notes and sample triggers so they stay locked together.
+function getGrooveOffsetTicks(track, trackStep) {
+    const stepTicks = state.clockResolution / track.tempoModifier;
+    let offset = 0;
+
+    const swing = track.swing == null ? state.swing : track.swing;
+    if (trackStep % 2 === 1) {
+        offset += stepTicks * (swing - 50) / 50;
+    }
+
+    const groove = getTrackGroove(track);
+    if (groove && groove.offsets.length > 0) {
+        const value = groove.offsets[trackStep % groove.offsets.length] || 0;
+        if (groove.unit === 'ms') {
+            offset += value / (getTickDuration() * 1000);
         } else {
-            const pitch = getStepPitchMultiplier(step);
-            if (pitch !== null) {
-                window.audioEngine.playSampleAtPitch(trackIndex, step.velocity, pitch);
-            } else {
-                window.audioEngine.playSample(trackIndex, step.velocity);
+            offset += value / track.tempoModifier;
+        }
+    }
+    return Math.max(0, offset);
+}
+
+// Validate an imported groove template; returns a clean copy or null
+function parseGrooveTemplate(raw) {
+    if (!raw || typeof raw.name !== 'string' || !Array.isArray(raw.offsets)) return null;
+    let offsets = raw.offsets.map(Number).filter(n => Number.isFinite(n));
+    if (offsets.length === 0) return null;
+    const unit = raw.unit === 'ms' ? 'ms' : 'ticks';
+    // Steps can only be pushed late: early hits shift the whole template so the earliest lands on the grid
+    const earliest = Math.min(...offsets);
+    if (earliest < 0) {
+        offsets = offsets.map(n => n - earliest);
+        console.warn(`[Groove] "${raw.name}" has early offsets — shifted ${-earliest} ${unit} later to keep its feel`);
+    }
+    return { name: raw.name, unit, offsets };
+}
+
+function importGrooveTemplates() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json';
+    input.onchange = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        try {
+            const data = JSON.parse(await file.text());
+            const templates = (Array.isArray(data) ? data : [data]).map(parseGrooveTemplate).filter(Boolean);
+            if (templates.length === 0) throw new Error('No valid groove templates (need name + offsets[])');
+            templates.forEach(t => {
+                state.customGrooves = state.customGrooves.filter(g => g.name !== t.name);
+                state.customGrooves.push(t);
+            });
+            populateGrooveSelects();
+            updateStepInfo();
+            console.log(`[Groove] Imported ${templates.length} template(s) from "${file.name}"`);
+        } catch (err) {
+            console.error('[Groove] Import failed:', err);
+            alert('Failed to import groove: ' + err.message);
+        }
+    };
+    input.click();
+}
+
+function populateGrooveSelects() {
+    const globalSel = document.getElementById('groove-global');
+    const trackSel = document.getElementById('groove-track');
+    // Imported names only ever go in as text
+    const options = () => getAllGrooves().map(g => new Option(g.name, g.name));
+    globalSel.replaceChildren(new Option('None', ''), ...options());
+    trackSel.replaceChildren(new Option('Global', ''), new Option('None', 'none'), ...options());
+}
+
+function updateGrooveControls() {
+    const track = getCurrentTrack();
+    document.getElementById('swing-global').value = state.swing;
+    document.getElementById('swing-global-value').textContent = `${state.swing}%`;
+
+    const trackSlider = document.getElementById('swing-track');
+    const hasOwnSwing = track.swing != null;
+    trackSlider.disabled = !hasOwnSwing;
+    trackSlider.value = hasOwnSwing ? track.swing : state.swing;
+    document.getElementById('btn-swing-track-override').classList.toggle('active', hasOwnSwing);
+    document.getElementById('btn-swing-track-override').textContent = hasOwnSwing ? `${track.swing}%` : 'Own';
+
+    document.getElementById('groove-global').value = state.groove || '';
+    document.getElementById('groove-track').value = track.groove || '';
+}
+
+// ── Probability & Trig Conditions ──
+
+// One evaluation per track step, shared by the MIDI and sample paths so a
+// random outcome can't play on one and not the other. Keeps two entries, since
+// negative micro-timing evaluates the next step one step early.
+const _trigEvalCache = {};   // trackIndex -> { [trackStep]: play }
+const _lastTrigResult = {};  // trackIndex -> result of the last conditional trig ('pre')
+
+function resetTrigState() {
+    for (const k in _trigEvalCache) delete _trigEvalCache[k];
+    for (const k in _lastTrigResult) delete _lastTrigResult[k];
+    for (const k in _ccLocksHeld) delete _ccLocksHeld[k];
+    _walkState = new WeakMap();
+}
+
+// cycle = how many times this track's own pattern has looped since play started
+function evaluateTrigCondition(condition, cycle, trackIndex) {
+    if (condition === 'fill') return state.fill;
+    if (condition === '!fill') return !state.fill;
+    if (condition === 'first') return cycle === 0;
+    if (condition === 'pre') return _lastTrigResult[trackIndex] === true;
+    const m = /^(\d+):(\d+)$/.exec(condition);
+    if (m) return cycle % parseInt(m[2]) === parseInt(m[1]) - 1;
+    return true;
+}
+
+function shouldStepPlay(trackIndex, track, step, trackStep) {
+    const cache = _trigEvalCache[trackIndex] || (_trigEvalCache[trackIndex] = {});
+    if (trackStep in cache) return cache[trackStep];
+
+    const cycle = Math.floor(trackStep / track.trackLength);
+    const probability = step.probability ?? 100;
+    let play = true;
+    if (step.condition) play = evaluateTrigCondition(step.condition, cycle, trackIndex);
+    if (play && probability < 100) play = Math.random() * 100 < probability;
+    if (step.condition || probability < 100) _lastTrigResult[trackIndex] = play;
+
+    for (const k in cache) {
+        if (k < trackStep - 1) delete cache[k];
+    }
+    cache[trackStep] = play;
+    return play;
+}
+
+function getConditionPadIndex(condition) {
+    if (!condition) return 0;
+    const m = /^\d+:(\d+)$/.exec(condition);
+    if (m) return TRIG_CONDITION_PADS.indexOf(`ratio:${m[1]}`);
+    return TRIG_CONDITION_PADS.indexOf(condition);
+}
+
+function getConditionLabel(condition) {
+    if (!condition) return '';
+    return condition === 'first' ? '1ST' : condition.toUpperCase();
+}
+
+function toggleFill() {
+    state.fill = !state.fill;
+    document.getElementById('btn-fill').classList.toggle('active', state.fill);
+    console.log(`🥁 Fill: ${state.fill ? 'ON' : 'OFF'}`);
+}
+
+// ── Parameter Locks ──
+
+const _ccLocksHeld = {};  // trackIndex -> Set of CC numbers left at a locked value
+
+// Step that control changes should lock: a held big-grid step (which becomes a lock trig),
+// or the selected step while lock mode is on, if it already plays. -1 = edit the track value as usual.
+function getLockTargetStep() {
+    if (state.mode !== 'seq') return -1;
+    if (lpState.heldBigGridStep !== -1) return lpState.heldBigGridStep;
+    if (!state.lockMode) return -1;
+    const step = getCurrentTrack().pattern[state.lastPressedStep];
+    return step && step.active ? state.lastPressedStep : -1;
+}
+
+function getTargetLocks() {
+    const stepIndex = getLockTargetStep();
+    if (stepIndex === -1) return null;
+    const step = getCurrentTrack().pattern[stepIndex];
+    return step ? step.locks : null;
+}
+
+// Write a lock to the target step. Returns false when there is no target,
+// so the caller falls back to changing the track-wide value.
+function setParamLock(param, value) {
+    const stepIndex = getLockTargetStep();
+    const track = getCurrentTrack();
+    if (stepIndex === -1 || stepIndex >= track.trackLength) return false;
+
+    undoPush(`Lock ${param} step ${stepIndex + 1}`, 'track');
+    const step = track.pattern[stepIndex];
+    if (!step.locks) step.locks = {};
+    step.locks[param] = value;
+    step.active = true; // only reachable inactive by holding the step: a lock trig, as on Elektron boxes
+    state.lastPressedStep = stepIndex;
+    renderGrid();
+    updateLockControls();
+    return true;
+}
+
+function clearStepLocks() {
+    const step = getCurrentTrack().pattern[state.lastPressedStep];
+    if (!step) return;
+    undoPush('Clear locks', 'track');
+    step.locks = {};
+    console.log(`🔒 Cleared locks on step ${state.lastPressedStep + 1}`);
+    renderGrid();
+    updateStepInfo();
+}
+
+function toggleLockMode() {
+    state.lockMode = !state.lockMode;
+    console.log(`🔒 Lock mode: ${state.lockMode ? 'ON' : 'OFF'}`);
+    updateLockControls();
+}
+
+// Send a step's CC locks; CCs locked by an earlier step go back to the track value
+function sendStepCCLocks(trackIndex, track, step, clockTick) {
+    const output = getTrackOutput(trackIndex);
+    if (!output) return;
+    const ts = toMidiTimestamp(getTickTime(clockTick));
+    const locks = step.locks || {};
+    const held = _ccLocksHeld[trackIndex] || (_ccLocksHeld[trackIndex] = new Set());
+
+    held.forEach(cc => {
+        if (locks[`cc:${cc}`] != null) return;
+        const knob = (track.midiCCs || []).find(k => k.cc === cc);
+        if (knob) sendCC(cc, knob.value, track.channel, ts, output);
+        _ccLaneSent.delete(`${trackIndex}:${cc}`); // a lane on this CC must resend
+        held.delete(cc);
+    });
+    Object.keys(locks).forEach(key => {
+        if (!key.startsWith('cc:')) return;
+        const cc = parseInt(key.slice(3));
+        sendCC(cc, locks[key], track.channel, ts, output);
+        _ccLaneSent.delete(`${trackIndex}:${cc}`);
+        held.add(cc);
+    });
+}
+
+function setTrackCC(slot, value) {
+    const track = getCurrentTrack();
+    const knob = track.midiCCs[slot];
+    if (!knob) return;
+    if (setParamLock(`cc:${knob.cc}`, value)) return;
+    undoPush('Track CC', 'track');
+    knob.value = value;
+    sendCC(knob.cc, value, track.channel, undefined, getTrackOutput(state.currentTrack));
+    _ccLaneSent.delete(`${state.currentTrack}:${knob.cc}`); // a lane on this CC must resend
+    updateTrackCCControls();
+}
+
+function setTrackCCNumber(slot, cc) {
+    const knob = getCurrentTrack().midiCCs[slot];
+    if (!knob) return;
+    undoPush('Track CC number', 'track');
+    knob.cc = Math.max(0, Math.min(127, cc || 0));
+    updateTrackCCControls();
+}
+
+function updateTrackCCControls() {
+    const track = getCurrentTrack();
+    const locks = getTargetLocks();
+    document.querySelectorAll('.cc-num').forEach(el => {
+        const knob = track.midiCCs[el.dataset.ccSlot];
+        if (knob) el.value = knob.cc;
+    });
+    document.querySelectorAll('.cc-slider').forEach(el => {
+        const knob = track.midiCCs[el.dataset.ccSlot];
+        if (!knob) return;
+        const locked = locks ? locks[`cc:${knob.cc}`] : undefined;
+        el.value = locked ?? knob.value;
+        document.querySelector(`.cc-value[data-cc-slot="${el.dataset.ccSlot}"]`).textContent = locked != null ? `${locked}*` : knob.value;
+    });
+}
+
+// Lock count on the step info bar, and lockable controls showing the target's values
+function updateLockControls() {
+    const step = getCurrentTrack().pattern[state.lastPressedStep];
+    const count = step && step.locks ? Object.keys(step.locks).length : 0;
+    document.getElementById('info-locks').textContent = count || '-';
+    document.getElementById('btn-plock').classList.toggle('active', state.lockMode);
+    document.body.classList.toggle('plock-target', getLockTargetStep() !== -1);
+    updateTrackCCControls();
+    updateSampleSlotUI();
+}
+
+// ── CC Automation Lanes ──
+// A track can carry CC lanes: { cc, values: one per step (16), smooth }. Lane value i belongs
+// to pattern step i (mod 16), so lanes follow the track's rate and direction. Stepped lanes
+// send on each step start; smooth lanes glide between step values on every tick.
+
+const CC_LANE_STEPS = 16;
+const CC_LANE_MAX = 4;
+const _ccLaneSent = new Map(); // 'track:cc' → last value sent (only changes go out)
+
+function createCCLane(cc = 1) {
+    return { cc, values: new Array(CC_LANE_STEPS).fill(64), smooth: false };
+}
+
+function getSelectedCCLane(track = getCurrentTrack()) {
+    return track.ccLanes[state.ccLane] || null;
+}
+
+// Lane value at a (fractional) track step
+function getCCLaneValue(track, lane, trackPos) {
+    const trackStep = Math.floor(trackPos + 1e-9);
+    const value = lane.values[getDirectionStep(track, trackStep) % CC_LANE_STEPS];
+    if (!lane.smooth) return value;
+    const next = lane.values[getDirectionStep(track, trackStep + 1) % CC_LANE_STEPS];
+    return Math.round(value + (next - value) * (trackPos - trackStep));
+}
+
+function sendCCLanes(sceneIndex) {
+    const scene = scenes[sceneIndex];
+    scene.tracks.forEach((track, trackIndex) => {
+        const output = getTrackOutput(trackIndex);
+        if (!output || !track.ccLanes.length || !isTrackAudible(scene, trackIndex)) return;
+        const started = getTrackStepStartingInTick(track, state.clockTick);
+
+        track.ccLanes.forEach(lane => {
+            if (!lane.smooth && !started) return;
+            const tick = lane.smooth ? state.clockTick : started.startTick;
+            const trackPos = lane.smooth ? tick * track.tempoModifier / state.clockResolution : started.trackStep;
+            const key = `${trackIndex}:${lane.cc}`;
+
+            // A p-lock of the same CC wins on its step; resend the lane after it
+            const step = track.pattern[getDirectionStep(track, Math.floor(trackPos + 1e-9))];
+            if (step.locks && step.locks[`cc:${lane.cc}`] != null) {
+                _ccLaneSent.delete(key);
+                return;
             }
+            const value = getCCLaneValue(track, lane, trackPos);
+            if (_ccLaneSent.get(key) === value) return;
+            _ccLaneSent.set(key, value);
+            sendCC(lane.cc, value, track.channel, toMidiTimestamp(getTickTime(tick)), output);
+        });
+    });
+}
+
+function addCCLane() {
+    const track = getCurrentTrack();
+    if (track.ccLanes.length >= CC_LANE_MAX) return;
+    undoPush('Add CC lane', 'track');
+    // Next CC number not already automated on this track
+    let cc = 1;
+    while (track.ccLanes.some(lane => lane.cc === cc)) cc++;
+    track.ccLanes.push(createCCLane(cc));
+    state.ccLane = track.ccLanes.length - 1;
+    console.log(`🎛️ Track ${state.currentTrack + 1}: CC lane ${cc} added`);
+    updateCCLaneControls();
+}
+
+function removeCCLane() {
+    const track = getCurrentTrack();
+    if (!getSelectedCCLane(track)) return;
+    undoPush('Remove CC lane', 'track');
+    track.ccLanes.splice(state.ccLane, 1);
+    state.ccLane = Math.max(0, state.ccLane - 1);
+    updateCCLaneControls();
+    renderGrid();
+}
+
+function setCCLaneNumber(cc) {
+    const lane = getSelectedCCLane();
+    if (!lane) return;
+    undoPush('CC lane', 'track');
+    lane.cc = Math.max(0, Math.min(127, cc || 0));
+    updateCCLaneControls();
+}
+
+function toggleCCLaneSmooth() {
+    const lane = getSelectedCCLane();
+    if (!lane) return;
+    undoPush('CC lane', 'track');
+    lane.smooth = !lane.smooth;
+    updateCCLaneControls();
+}
+
+// Highest lit small-grid pad (0-7) for the selected step's lane value
+function getCCLanePadLevel(lane) {
+    return Math.round(lane.values[state.lastPressedStep % CC_LANE_STEPS] * 7 / 127);
+}
+
+function setCCLaneValue(index, value) {
+    const lane = getSelectedCCLane();
+    if (!lane) return;
+    lane.values[index % CC_LANE_STEPS] = Math.max(0, Math.min(127, Math.round(value)));
+}
+
+function updateCCLaneControls() {
+    const track = getCurrentTrack();
+    state.ccLane = Math.max(0, Math.min(state.ccLane, track.ccLanes.length - 1));
+    const lane = getSelectedCCLane(track);
+
+    const select = document.getElementById('cc-lane-select');
+    select.innerHTML = track.ccLanes.length
+        ? track.ccLanes.map((l, i) => `<option value="${i}">${i + 1}: CC ${l.cc}</option>`).join('')
+        : '<option value="">No lanes</option>';
+    select.value = lane ? state.ccLane : '';
+    document.getElementById('cc-lane-number').value = lane ? lane.cc : '';
+    document.getElementById('cc-lane-number').disabled = !lane;
+    document.getElementById('btn-cc-lane-smooth').classList.toggle('active', !!lane?.smooth);
+    document.getElementById('btn-cc-lane-add').disabled = track.ccLanes.length >= CC_LANE_MAX;
+    document.getElementById('btn-cc-lane-remove').disabled = !lane;
+    drawCCLane();
+}
+
+// Lane editor: one bar per step, the selected step outlined
+function drawCCLane() {
+    const canvas = document.getElementById('cc-lane-canvas');
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    const width = canvas.clientWidth || 240;
+    const height = 60;
+    canvas.width = width * window.devicePixelRatio;
+    canvas.height = height * window.devicePixelRatio;
+    ctx.scale(window.devicePixelRatio, window.devicePixelRatio);
+    ctx.clearRect(0, 0, width, height);
+
+    const track = getCurrentTrack();
+    const lane = getSelectedCCLane(track);
+    if (!lane) return;
+    const colW = width / CC_LANE_STEPS;
+    const selected = state.lastPressedStep % CC_LANE_STEPS;
+
+    lane.values.forEach((value, i) => {
+        const h = (value / 127) * (height - 2);
+        ctx.fillStyle = i < track.trackLength ? track.color + 'b0' : track.color + '30';
+        ctx.fillRect(i * colW + 1, height - h, colW - 2, h);
+        if (i === selected) {
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+            ctx.strokeRect(i * colW + 0.5, 0.5, colW - 1, height - 1);
         }
     });
+
+    if (lane.smooth) {
+        ctx.beginPath();
+        lane.values.forEach((value, i) => {
+            const x = (i + 0.5) * colW;
+            const y = height - (value / 127) * (height - 2);
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+    }
+}
+
+function setupCCLaneEditor() {
+    const canvas = document.getElementById('cc-lane-canvas');
+    let drawing = false;
+
+    function paint(e) {
+        const rect = canvas.getBoundingClientRect();
+        const x = Math.max(0, Math.min(rect.width - 1, e.clientX - rect.left));
+        const y = Math.max(0, Math.min(1, 1 - (e.clientY - rect.top) / rect.height));
+        setCCLaneValue(Math.floor(x / rect.width * CC_LANE_STEPS), y * 127);
+        drawCCLane();
+        if (state.smallGridMode === 'cc') renderGrid();
+    }
+
+    canvas.addEventListener('mousedown', (e) => {
+        if (!getSelectedCCLane()) return;
+        undoPush('Draw CC lane', 'track');
+        drawing = true;
+        paint(e);
+    });
+    document.addEventListener('mousemove', (e) => {
+        if (drawing) paint(e);
+    });
+    document.addEventListener('mouseup', () => {
+        drawing = false;
+    });
 }
 
 // Get pitch multiplier for a step (null = use default sample pitch)
-function getStepPitchMultiplier(step) {
+function getStepPitchMultiplier(track, step) {
     if (step.pitchNote == null) return null;
-    const semitones = step.pitchNote - 60; // C5 = original pitch
+    const semitones = transposeNote(track, step.pitchNote) - 60; // C5 = original pitch
     return Math.pow(2, semitones / 12);
 }
 
-function queueMidiNotes() {
-    const sceneIndex = getPlayingScene();
+// Returns the set of track indices that started a step on this tick
+function queueMidiNotes(sceneIndex) {
     const scene = scenes[sceneIndex];
-    scene.tracks.forEach((track, trackIndex) => {
-        const trackStep = Math.floor(state.currentStep * track.tempoModifier);
-        const stepIndex = trackStep % track.trackLength;
-
-        // Skip if this track step hasn't changed (prevents re-trigger at half tempo)
-        if (!window._lastMidiStep) window._lastMidiStep = {};
-        if (window._lastMidiStep[trackIndex] === trackStep) return;
-        window._lastMidiStep[trackIndex] = trackStep;
+    const startedTracks = new Set();
+    if (!window._lastMidiStep) window._lastMidiStep = {};
 
-        const step = track.pattern[stepIndex];
-        if (step && step.active && !track.muted) {
-            queueStep(track, step);
-            queueChords(track, step);
-        }
+    scene.tracks.forEach((track, trackIndex) => {
+        // Skip if this track step was already handled (prevents re-trigger after a rate change)
+        const started = getTrackStepStartingInTick(track, state.clockTick);
+        if (!started || window._lastMidiStep[trackIndex] === started.trackStep) return;
+        window._lastMidiStep[trackIndex] = started.trackStep;
+        startedTracks.add(trackIndex);
+
+        if (!isTrackAudible(scene, trackIndex)) return;
+        forEachStepStartingNow(track, started.trackStep, (step, stepTrackStep, offset) => {
+            if (!step.active || !shouldStepPlay(trackIndex, track, step, stepTrackStep)) return;
+            const clockTick = started.startTick + offset;
+            sendStepCCLocks(trackIndex, track, step, clockTick);
+            // A chord step plays its chord instead of the step's own notes
+            if (hasStepChord(step)) queueChords(trackIndex, track, step, clockTick);
+            else queueStep(trackIndex, track, step, clockTick);
+        });
     });
+    return startedTracks;
 }
 
-function queueStep(track, step) {
+function queueStep(trackIndex, track, step, clockTick = state.clockTick) {
     step.notes.forEach((active, noteIndex) => {
         if (active) {
-            addToQueue(step, track, noteIndex, state.clockTick);
+            addToQueue(trackIndex, step, track, noteIndex, clockTick);
         }
     });
 }
 
-function queueChords(track, step) {
-    // Chord playback would be implemented here
-    // For now, we focus on the step sequencer
+function queueChords(trackIndex, track, step, clockTick = state.clockTick) {
+    if (step.singleTriplet) return;
+    getChordEvents(track, step).forEach(event => {
+        addToQueue(trackIndex, step, track, event.note, clockTick + event.offset, event.hits);
+    });
 }
 
-function addToQueue(step, track, note, clockTick) {
-    if (step.triplet) {
-        // 16th triplet: 3 notes across 12 ticks (spacing=4), 8th triplet: 3 notes across 24 ticks (spacing=8)
-        const ticks = step.tripletType === '8th' ? 8 : 4;
-        const spacing = ticks / track.tempoModifier;
-        const noteLen = spacing;
-        state.midiNotesQueue.push({ clockTick, length: noteLen, note, channel: track.channel, velocity: step.velocity });
-        state.midiNotesQueue.push({ clockTick: clockTick + spacing, length: noteLen, note, channel: track.channel, velocity: step.velocity });
-        state.midiNotesQueue.push({ clockTick: clockTick + spacing * 2, length: noteLen, note, channel: track.channel, velocity: step.velocity });
-    } else if (step.singleTriplet) {
-        // singleTriplet is just a visual marker — the triplet step (A) already
-        // plays all 3 notes spanning both steps. Don't play anything here.
-        return;
-    } else if (step.doubleNote) {
-        const len = 4 / track.tempoModifier;
-        state.midiNotesQueue.push({ clockTick, length: len, note, channel: track.channel, velocity: step.velocity });
-        state.midiNotesQueue.push({ clockTick: clockTick + 3 / track.tempoModifier, length: len, note, channel: track.channel, velocity: step.velocity });
+// Queue entries: clockTick = start tick (may be fractional), length = duration in steps.
+// hits defaults to the step's own subdivisions (see getStepHits).
+function addToQueue(trackIndex, step, track, note, clockTick, hits = getStepHits(track, step)) {
+    // singleTriplet is just a visual marker — the triplet step (A) already
+    // plays all 3 notes spanning both steps. Don't play anything here.
+    if (step.singleTriplet) return;
+
+    hits.forEach(hit => {
+        state.midiNotesQueue.push({
+            clockTick: clockTick + hit.offset,
+            length: hit.length,
+            note: transposeNote(track, note),
+            channel: track.channel,
+            output: getTrackOutput(trackIndex),
+            velocity: hit.velocity
+        });
+    });
+}
+
+// ── Project Key / Transpose ──
+
+// Inner-grid pitch pads: 12 semitones of the current octave, or — with a project scale —
+// 12 scale degrees up from the project key
+function getInnerPadNote(padIndex) {
+    const base = state.currentOctave * 12;
+    if (state.projectScale === null) return base + padIndex;
+    return base + state.projectKey + getDegreeSemitones(getScaleDegrees(state.projectScale), padIndex);
+}
+
+function isScaleRootPad(padIndex) {
+    return state.projectScale !== null && padIndex % 7 === 0;
+}
+
+// Move a note by `amount` degrees of the project scale. Notes outside the scale keep
+// their distance above the degree below them.
+function transposeByDegrees(note, amount) {
+    const degrees = getScaleDegrees(state.projectScale ?? 0);
+    const rel = note - state.projectKey;
+    const octave = Math.floor(rel / 12);
+    const pc = rel - octave * 12;
+    let degree = degrees.length - 1;
+    while (degrees[degree] > pc) degree--;
+    const target = octave * degrees.length + degree + amount;
+    const targetOctave = Math.floor(target / degrees.length);
+    return state.projectKey + targetOctave * 12 + degrees[target - targetOctave * degrees.length] + pc - degrees[degree];
+}
+
+// Live transpose, applied at playback — step pitches are never rewritten. Drum tracks are left alone.
+function transposeNote(track, note) {
+    if (track.drum || state.transpose === 0) return note;
+    const moved = state.transposeMode === 'degree'
+        ? transposeByDegrees(note, state.transpose)
+        : note + state.transpose;
+    return Math.max(0, Math.min(127, moved));
+}
+
+function setProjectKey(key) {
+    state.projectKey = key;
+    renderGrid();
+    updateKeyControls();
+}
+
+function setProjectScale(scale) {
+    state.projectScale = scale;
+    console.log(`🎼 Pitch pads: ${scale === null ? 'chromatic' : `${NOTE_NAMES[state.projectKey]} ${SCALES[scale].name}`}`);
+    renderGrid();
+    updateKeyControls();
+}
+
+function setTranspose(amount) {
+    state.transpose = Math.max(-24, Math.min(24, amount));
+    console.log(`🎼 Transpose: ${state.transpose > 0 ? '+' : ''}${state.transpose} ${state.transposeMode}s`);
+    updateKeyControls();
+}
+
+function setTransposeMode(mode) {
+    state.transposeMode = mode;
+    updateKeyControls();
+}
+
+function toggleDrumTrack() {
+    undoPush('Drum track', 'track');
+    const track = getCurrentTrack();
+    track.drum = !track.drum;
+    console.log(`🥁 Track ${state.currentTrack + 1}: ${track.drum ? 'drum (not transposed)' : 'pitched'}`);
+    updateKeyControls();
+}
+
+function updateKeyControls() {
+    document.getElementById('project-key').value = state.projectKey;
+    document.getElementById('project-scale').value = state.projectScale === null ? '' : state.projectScale;
+    document.getElementById('transpose-value').textContent = `${state.transpose > 0 ? '+' : ''}${state.transpose}`;
+    document.getElementById('transpose-mode').value = state.transposeMode;
+    document.getElementById('btn-drum-track').classList.toggle('active', !!getCurrentTrack().drum);
+}
+
+// ── Chords ──
+
+// A chord step holds one chord in step.chords: { degree: 0-6, size: 3-5, inversion, octave }.
+// Voices are stacked thirds of the step's scale (step.chordScale) from the track key
+// (track.midiRoot), so every degree stays diatonic.
+const CHORD_PLAY_MODES = ['block', 'strum', 'arpUp', 'arpDown'];
+const CHORD_PLAY_LABELS = { block: 'Block', strum: 'Strum', arpUp: 'Arp ↑', arpDown: 'Arp ↓' };
+const CHORD_PLAY_SHORT = { block: 'BLK', strum: 'STR', arpUp: 'ARP↑', arpDown: 'ARP↓' };
+const CHORD_STRUM_TICKS = 1;   // gap between strummed voices (24 PPQN)
+const CHORD_SIZES = [3, 4, 5]; // triad, 7th, 9th
+const CHORD_OCTAVE_RANGE = 2;
+const CHORD_ROMAN = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII'];
+// Function colours per degree: tonic (I, iii, vi), subdominant (ii, IV), dominant (V, vii)
+const CHORD_DEGREE_COLORS = ['#00e060', '#ff6040', '#00e060', '#ff6040', '#ffc800', '#00e060', '#ffc800'];
+const LP_CHORD_DEGREE_COLORS = [LP_COLOR.TONIC, LP_COLOR.SUBDOMINANT, LP_COLOR.TONIC, LP_COLOR.SUBDOMINANT,
+    LP_COLOR.DOMINANT, LP_COLOR.TONIC, LP_COLOR.DOMINANT];
+
+function hasStepChord(step) {
+    return Array.isArray(step.chords) && step.chords.length > 0;
+}
+
+// Semitone offsets of the seven scale degrees
+function getScaleDegrees(scaleIndex) {
+    const scale = SCALES[scaleIndex] || SCALES[0];
+    return scale.intervals.reduce((degrees, on, semitone) => on ? degrees.concat(semitone) : degrees, []);
+}
+
+// Semitones from the scale root to the given degree (degrees past 6 wrap up an octave)
+function getDegreeSemitones(degrees, degree) {
+    return degrees[degree % 7] + 12 * Math.floor(degree / 7);
+}
+
+// MIDI notes of a step's chord, lowest first
+function buildStepChord(track, step) {
+    if (!hasStepChord(step)) return [];
+    const chord = step.chords[0];
+    const degrees = getScaleDegrees(step.chordScale);
+    const base = track.midiRoot + 12 * (chord.octave || 0);
+    const notes = [];
+    for (let i = 0; i < chord.size; i++) {
+        notes.push(base + getDegreeSemitones(degrees, chord.degree + i * 2));
+    }
+    // Inversions move the lowest voice up an octave
+    for (let i = 0; i < (chord.inversion || 0); i++) {
+        notes.push(notes.shift() + 12);
+    }
+    return notes.filter(n => n >= 0 && n <= 127);
+}
+
+// Roman numeral for a degree in the given scale: upper case = major third, ° = diminished, + = augmented
+function getChordDegreeLabel(degree, scaleIndex) {
+    const degrees = getScaleDegrees(scaleIndex);
+    const root = getDegreeSemitones(degrees, degree);
+    const third = getDegreeSemitones(degrees, degree + 2) - root;
+    const fifth = getDegreeSemitones(degrees, degree + 4) - root;
+    const roman = third === 4 ? CHORD_ROMAN[degree] : CHORD_ROMAN[degree].toLowerCase();
+    return roman + (fifth === 6 ? '°' : fifth === 8 ? '+' : '');
+}
+
+function getChordLabel(step) {
+    if (!hasStepChord(step)) return '-';
+    const chord = step.chords[0];
+    let label = getChordDegreeLabel(chord.degree, step.chordScale);
+    if (chord.size === 4) label += '7';
+    else if (chord.size === 5) label += '9';
+    if (chord.inversion) label += `/${chord.inversion}`;
+    return label;
+}
+
+function getChordPlayMode(step) {
+    return CHORD_PLAY_MODES[step.chordPlayMode] || 'block';
+}
+
+// Chord voices as queue events: note, start offset in ticks, and the hits to play there.
+// Block and strum keep the step's ratchets; arps split the step length across the voices.
+function getChordEvents(track, step) {
+    const notes = buildStepChord(track, step);
+    const mode = getChordPlayMode(step);
+
+    if (mode === 'arpUp' || mode === 'arpDown') {
+        const order = mode === 'arpUp' ? notes : notes.slice().reverse();
+        const spacing = step.length * state.clockResolution / track.tempoModifier / order.length;
+        return order.map((note, i) => ({
+            note,
+            offset: spacing * i,
+            hits: [{ offset: 0, length: spacing / state.clockResolution, velocity: step.velocity }]
+        }));
+    }
+
+    const hits = getStepHits(track, step);
+    return notes.map((note, i) => ({
+        note,
+        offset: mode === 'strum' ? i * CHORD_STRUM_TICKS : 0,
+        hits
+    }));
+}
+
+// Sample-engine side of queueChords(): the first voice of each chord cuts the track's
+// previous voices, the rest ring alongside it. Arp notes cut each other.
+function playChordSamples(trackIndex, track, step, when) {
+    const tickSec = getTickDuration();
+    const events = getChordEvents(track, step);
+    const arp = getChordPlayMode(step).startsWith('arp');
+    const hitCount = events.length ? events[0].hits.length : 0;
+
+    for (let h = 0; h < hitCount; h++) {
+        events.forEach((event, i) => {
+            const hit = event.hits[h];
+            const t = when + (event.offset + hit.offset) * tickSec;
+            const pitch = Math.pow(2, (transposeNote(track, event.note) - 60) / 12); // C5 = original pitch
+            window.audioEngine.playSampleAtPitch(trackIndex, hit.velocity, pitch, t, step.locks, !arp && i > 0);
+        });
+    }
+}
+
+function getChordTargetStep() {
+    return getCurrentTrack().pattern[state.lastPressedStep];
+}
+
+function updateChordEdit() {
+    renderGrid();
+    updateStepInfo();
+}
+
+// Assign a scale degree to the selected step; pressing the same degree again removes the chord
+function setStepChordDegree(degree) {
+    undoPush('Chord', 'track');
+    const step = getChordTargetStep();
+    const current = step.chords[0];
+    if (current && current.degree === degree) {
+        step.chords = [];
+        console.log(`🎹 Chord cleared on step ${state.lastPressedStep + 1}`);
+    } else {
+        step.chords = [{
+            degree,
+            size: current ? current.size : 3,
+            inversion: current ? current.inversion : 0,
+            octave: current ? current.octave : 0
+        }];
+        step.active = true;
+        console.log(`🎹 Step ${state.lastPressedStep + 1} chord: ${getChordLabel(step)}`);
+    }
+    updateChordEdit();
+}
+
+// Size / inversion / octave edits only apply to a step that already has a chord
+function editStepChord(fn) {
+    const step = getChordTargetStep();
+    if (!hasStepChord(step)) return;
+    undoPush('Chord', 'track');
+    fn(step.chords[0]);
+    updateChordEdit();
+}
+
+function cycleChordSize() {
+    editStepChord(chord => {
+        chord.size = CHORD_SIZES[(CHORD_SIZES.indexOf(chord.size) + 1) % CHORD_SIZES.length];
+        chord.inversion = Math.min(chord.inversion || 0, chord.size - 1);
+    });
+}
+
+function cycleChordInversion() {
+    editStepChord(chord => {
+        chord.inversion = ((chord.inversion || 0) + 1) % chord.size;
+    });
+}
+
+function shiftChordOctave(delta) {
+    editStepChord(chord => {
+        chord.octave = Math.max(-CHORD_OCTAVE_RANGE, Math.min(CHORD_OCTAVE_RANGE, (chord.octave || 0) + delta));
+    });
+}
+
+function setStepChordScale(scaleIndex) {
+    undoPush('Chord', 'track');
+    getChordTargetStep().chordScale = scaleIndex;
+    updateChordEdit();
+}
+
+function setStepChordPlayMode(modeIndex) {
+    undoPush('Chord', 'track');
+    getChordTargetStep().chordPlayMode = modeIndex;
+    console.log(`🎹 Chord play mode: ${CHORD_PLAY_LABELS[CHORD_PLAY_MODES[modeIndex]]}`);
+    updateChordEdit();
+}
+
+// Track key = pitch class of midiRoot; the octave is kept
+function setTrackChordKey(pitchClass) {
+    undoPush('Chord', 'track');
+    const track = getCurrentTrack();
+    track.midiRoot = Math.floor(track.midiRoot / 12) * 12 + pitchClass;
+    updateChordEdit();
+}
+
+// Chords mode ring layout — inner: degrees I-VII, size, inversion, octave -/+, scale;
+// small: play modes. Big pads select/toggle steps like the sequencer.
+function handleChordPadPress(innerIdx, smallIdx) {
+    if (innerIdx !== -1) {
+        if (innerIdx < 7) setStepChordDegree(innerIdx);
+        else if (innerIdx === 7) cycleChordSize();
+        else if (innerIdx === 8) cycleChordInversion();
+        else if (innerIdx === 9) shiftChordOctave(-1);
+        else if (innerIdx === 10) shiftChordOctave(1);
+        else setStepChordScale((getChordTargetStep().chordScale + 1) % SCALES.length);
+    } else if (smallIdx !== -1 && smallIdx < CHORD_PLAY_MODES.length) {
+        setStepChordPlayMode(smallIdx);
+    }
+}
+
+function updateChordControls() {
+    const track = getCurrentTrack();
+    const step = getChordTargetStep();
+    document.getElementById('chord-key').value = track.midiRoot % 12;
+    document.getElementById('chord-scale').value = step.chordScale;
+    document.getElementById('chord-play-mode').value = step.chordPlayMode;
+}
+
+// ── Ratchets & Micro-timing ──
+
+// The notes a step plays: offset from the step start in ticks, length in steps, velocity.
+// Shared by the MIDI queue and the sample engine so both subdivide the same way.
+function getStepHits(track, step) {
+    const res = state.clockResolution;
+    const hits = (count, spacing, length) => Array.from({ length: count }, (_, i) => ({
+        offset: spacing * i,
+        length,
+        velocity: getRatchetVelocity(step, i, count)
+    }));
+
+    if (step.triplet) {
+        // 16th triplet: 3 notes across 12 ticks (spacing=4), 8th triplet: 3 notes across 24 ticks (spacing=8)
+        const spacing = (step.tripletType === '8th' ? 8 : 4) / track.tempoModifier;
+        return hits(3, spacing, spacing / res);
+    }
+    if (step.doubleNote) {
+        const spacing = 3 / track.tempoModifier;
+        return hits(2, spacing, spacing / res);
+    }
+    const count = step.ratchet || 1;
+    if (count > 1) {
+        const spacing = res / track.tempoModifier / count;
+        return hits(count, spacing, spacing / res);
+    }
+    return [{ offset: 0, length: step.length / track.tempoModifier, velocity: step.velocity }];
+}
+
+// Ratchet velocity ramp: 'up' rises from 25% to full, 'down' falls from full to 25%
+function getRatchetVelocity(step, i, count) {
+    if (!step.ratchetRamp || count < 2 || !(step.ratchet > 1)) return step.velocity;
+    const pos = step.ratchetRamp === 'up' ? i / (count - 1) : 1 - i / (count - 1);
+    return Math.max(1, Math.round(step.velocity * (0.25 + 0.75 * pos)));
+}
+
+// Groove + micro-timing, in ticks from the step's grid position. A negative nudge
+// can pull a step at most to just after the previous step's start.
+function getStepTimingOffset(track, step, trackStep) {
+    const stepTicks = state.clockResolution / track.tempoModifier;
+    const micro = Math.max(step.microTiming || 0, 1 - stepTicks);
+    return getGrooveOffsetTicks(track, trackStep) + micro;
+}
+
+// Calls fn(step, trackStep, offsetTicks) for every step that starts within the
+// track step beginning now: this step, unless a negative nudge already played it
+// early, and the next one if its nudge pulls it back into this step.
+function forEachStepStartingNow(track, trackStep, fn) {
+    const stepTicks = state.clockResolution / track.tempoModifier;
+    const step = track.pattern[getDirectionStep(track, trackStep)];
+    if (step) {
+        const offset = getStepTimingOffset(track, step, trackStep);
+        // Nothing ran before the first step, so an early step 1 plays on the grid
+        if (offset >= 0 || trackStep === 0) fn(step, trackStep, Math.max(0, offset));
+    }
+    const next = track.pattern[getDirectionStep(track, trackStep + 1)];
+    if (next) {
+        const offset = getStepTimingOffset(track, next, trackStep + 1);
+        if (offset < 0) fn(next, trackStep + 1, stepTicks + offset);
+    }
+}
+
+function isMicroPadLit(gridIndex, microTiming) {
+    const ticks = MICRO_TIMING_PADS[gridIndex];
+    return microTiming < 0 ? ticks < 0 && ticks >= microTiming : microTiming > 0 && ticks > 0 && ticks <= microTiming;
+}
+
+function getRatchetLabel(step) {
+    const count = step.ratchet || 1;
+    const ramp = step.ratchetRamp === 'up' ? '↗' : step.ratchetRamp === 'down' ? '↘' : '';
+    const micro = step.microTiming ? ` ${step.microTiming > 0 ? '+' : ''}${step.microTiming}t` : '';
+    return `${count}x${count > 1 ? ramp : ''}${micro}`;
+}
+
+// Launchpad: hold a big-grid step, ↑/↓ = ratchet count, ←/→ = nudge one tick
+function editHeldStep(buttonIdx) {
+    const track = getCurrentTrack();
+    const step = track.pattern[lpState.heldBigGridStep];
+    if (!step || lpState.heldBigGridStep >= track.trackLength) return;
+    undoPush(`Step ${lpState.heldBigGridStep + 1} edit`, 'track');
+
+    if (buttonIdx === 0 || buttonIdx === 1) {
+        step.ratchet = Math.max(1, Math.min(8, (step.ratchet || 1) + (buttonIdx === 0 ? 1 : -1)));
+    } else {
+        const delta = buttonIdx === 2 ? -1 : 1;
+        step.microTiming = Math.max(-MICRO_TIMING_MAX, Math.min(MICRO_TIMING_MAX, (step.microTiming || 0) + delta));
+    }
+    step.active = true; // editing a held step keeps it on
+    state.lastPressedStep = lpState.heldBigGridStep;
+    console.log(`🎹 LP Step ${state.lastPressedStep + 1}: ${getRatchetLabel(step)}`);
+    renderGrid();
+    updateStepInfo();
+}
+
+// Send note-ons that start within the current tick, timestamped to their exact time
+function processNoteOns() {
+    state.midiNotesQueue.forEach(e => {
+        if (!e.sent && e.clockTick < state.clockTick + 1) {
+            sendNoteOn(e.note, e.velocity, e.channel, toMidiTimestamp(getTickTime(e.clockTick)), e.output);
+            e.sent = true;
+        }
+    });
+}
+
+// Send note-offs that fall within the current tick, timestamped to their exact time
+function processNoteOffs() {
+    state.midiNotesQueue.forEach(e => {
+        const offTick = e.clockTick + e.length * state.clockResolution;
+        if (e.sent && !e.done && offTick < state.clockTick + 1) {
+            sendNoteOff(e.note, e.channel, toMidiTimestamp(getTickTime(offTick)), e.output);
+            e.done = true;
+        }
+    });
+}
+
+function cleanupNoteQueue() {
+    state.midiNotesQueue = state.midiNotesQueue.filter(e => !e.done);
+}
+
+function getPlayingScene() {
+    if (state.songMode && state.song.entries.length > 0) {
+        // Once the song has ended, stay put until the scheduled stop lands
+        if (songPlayback.ended) return state.currentScene;
+        if (state.currentStep % SONG_BAR_STEPS === 0) advanceSong(state.currentStep === 0);
+    } else if (state.chainMode && state.scenesChain.length > 0) {
+        const stepsPerCycle = 16;
+        if (state.currentStep % stepsPerCycle === 0) {
+            state.currentSceneInChain++;
+            const sceneIndex = state.scenesChain[state.currentSceneInChain % state.scenesChain.length];
+            state.currentScene = sceneIndex;
+            renderSceneButtons();
+        }
+    } else {
+        updateSceneLaunch();
+    }
+    return state.currentScene;
+}
+
+// ── Scene Launch ──
+
+let _sceneBars = 0; // whole bars the current scene has played
+
+// Scene pads and keys launch through here: queued while playing with a launch quantize
+function launchScene(sceneIndex) {
+    if (!state.playing || state.launchQuantize === 0) {
+        state.queuedScene = null;
+        changeScene(sceneIndex);
+        return;
+    }
+    // Pressing the playing scene again cancels a pending launch
+    state.queuedScene = sceneIndex === state.currentScene ? null : sceneIndex;
+    console.log(state.queuedScene === null ? '🎬 Scene launch cancelled' : `🎬 Scene ${sceneIndex + 1} queued`);
+    renderSceneButtons();
+    renderGrid();
+}
+
+function hasFollowAction(scene) {
+    return !!(scene && scene.followAction && scene.followAction.action !== 'none');
+}
+
+// Called once per 16th while playing: counts bars, fires follow actions and queued launches
+function updateSceneLaunch() {
+    const step = state.currentStep;
+    if (step > 0 && step % SONG_BAR_STEPS === 0) {
+        _sceneBars++;
+        // Bar boundaries line up with every launch quantize, so a follow action launches right away
+        const follow = getFollowActionTarget(scenes[state.currentScene]);
+        if (follow !== null && state.queuedScene === null) state.queuedScene = follow;
+    }
+    if (state.queuedScene !== null && step % Math.max(1, state.launchQuantize) === 0) {
+        applyQueuedScene();
+    }
+}
+
+// A scene with at least one active step — next / prev / random skip the empty ones
+function sceneHasContent(sceneIndex) {
+    return scenes[sceneIndex].tracks.some(track =>
+        track.pattern.slice(0, track.trackLength).some(step => step.active));
+}
+
+function getFollowActionTarget(scene) {
+    if (!hasFollowAction(scene) || _sceneBars < scene.followAction.bars) return null;
+    const count = scenes.length;
+    const current = state.currentScene;
+    // Other scenes with content, nearest first going forward; none left = replay the current one
+    const others = [];
+    for (let offset = 1; offset < count; offset++) {
+        const index = (current + offset) % count;
+        if (sceneHasContent(index)) others.push(index);
+    }
+    if (others.length === 0 && scene.followAction.action !== 'scene') return current;
+    switch (scene.followAction.action) {
+        case 'next': return others[0];
+        case 'prev': return others[others.length - 1];
+        case 'random': return others[Math.floor(Math.random() * others.length)];
+        case 'scene': return Math.min(scene.followAction.target, count - 1);
+    }
+    return null;
+}
+
+function applyQueuedScene() {
+    const sceneIndex = state.queuedScene;
+    state.queuedScene = null;
+    _sceneBars = 0;
+    state.currentScene = sceneIndex;
+    state.chainMode = false;
+    state.scenesChain = [];
+    console.log(`🎬 Scene ${sceneIndex + 1} launched`);
+    runAtSchedulerTime(scheduler.tickTime, renderAll);
+}
+
+function resetSceneLaunch() {
+    state.queuedScene = null;
+    _sceneBars = 0;
+}
+
+function setFollowAction(field, value) {
+    undoPush('Follow action', 'scene');
+    const follow = scenes[state.currentScene].followAction;
+    follow[field] = value;
+    _sceneBars = Math.min(_sceneBars, follow.bars);
+    updateSceneLaunchControls();
+}
+
+function updateSceneLaunchControls() {
+    const follow = scenes[state.currentScene].followAction;
+    const targetSel = document.getElementById('follow-target');
+    targetSel.innerHTML = scenes.map((_, i) => `<option value="${i}">${getSceneName(i)}</option>`).join('');
+    document.getElementById('launch-quantize').value = state.launchQuantize;
+    document.getElementById('follow-action').value = follow.action;
+    document.getElementById('follow-bars').value = follow.bars;
+    targetSel.value = follow.target;
+    targetSel.disabled = follow.action !== 'scene';
+}
+
+// ── Scene Bank ──
+
+function getSceneName(sceneIndex) {
+    return scenes[sceneIndex].name || `Scene ${sceneIndex + 1}`;
+}
+
+function getSceneBankCount() {
+    return Math.ceil(scenes.length / SCENES_PER_BANK);
+}
+
+// Scene shown on a scene pad in the current bank (-1 = past the last scene)
+function getScenePadScene(padIndex) {
+    const sceneIndex = state.sceneBank * SCENES_PER_BANK + padIndex;
+    return sceneIndex < scenes.length ? sceneIndex : -1;
+}
+
+function setSceneBank(bank) {
+    state.sceneBank = Math.max(0, Math.min(getSceneBankCount() - 1, bank));
+    console.log(`🎬 Scene bank ${state.sceneBank + 1}/${getSceneBankCount()}`);
+    renderSceneButtons();
+    renderGrid();
+}
+
+function showSceneBank(sceneIndex) {
+    state.sceneBank = Math.floor(sceneIndex / SCENES_PER_BANK);
+}
+
+// Re-point every stored scene index after scenes are inserted or removed.
+// map(oldIndex) → new index, or -1 when that scene was deleted.
+function remapSceneIndices(map) {
+    const last = scenes.length - 1;
+    const current = map(state.currentScene);
+    state.currentScene = current === -1 ? Math.min(state.currentScene, last) : current;
+    _sequencerScene = state.currentScene;
+    if (state.queuedScene !== null) {
+        const queued = map(state.queuedScene);
+        state.queuedScene = queued === -1 ? null : queued;
+    }
+    if (state.copyMode === 'scene') {
+        state.copyOrigin = map(state.copyOrigin);
+        if (state.copyOrigin === -1) {
+            state.copyMode = null;
+            state.copyOrigin = null;
+            updateCopyButtons();
+        }
+    }
+    state.scenesChain = state.scenesChain.map(map).filter(i => i !== -1);
+
+    scenes.forEach(scene => {
+        const follow = scene.followAction;
+        if (follow.action !== 'scene') return;
+        const target = map(follow.target);
+        if (target === -1) follow.action = 'none';
+        follow.target = Math.max(0, target);
+    });
+
+    // Song entries of a deleted scene are dropped
+    for (let i = state.song.entries.length - 1; i >= 0; i--) {
+        const entry = state.song.entries[i];
+        entry.scene = map(entry.scene);
+        if (entry.scene === -1) removeSongEntry(i);
+    }
+    _pendingMutes = new Map([..._pendingMutes].map(([key, muted]) => {
+        const [sceneIndex, trackIndex] = key.split(':').map(Number);
+        return [`${map(sceneIndex)}:${trackIndex}`, muted];
+    }).filter(([key]) => !key.startsWith('-1:')));
+    if (songPlayback.savedMutes) {
+        songPlayback.savedMutes.scene = map(songPlayback.savedMutes.scene);
+        if (songPlayback.savedMutes.scene === -1) songPlayback.savedMutes = null;
+    }
+}
+
+function insertScene(index, scene) {
+    if (scenes.length >= MAX_SCENES) {
+        console.warn(`🎬 Scene bank is full (${MAX_SCENES} scenes)`);
+        return false;
+    }
+    undoPush('Insert scene', 'scenes');
+    remapSceneIndices(i => i >= index ? i + 1 : i);
+    scenes.splice(index, 0, scene);
+    return true;
+}
+
+function addSceneAfter(sceneIndex) {
+    if (!insertScene(sceneIndex + 1, createScene())) return;
+    console.log(`🎬 Scene inserted at ${sceneIndex + 2}`);
+    renderAll();
+}
+
+function duplicateScene(sceneIndex) {
+    const copy = JSON.parse(JSON.stringify(scenes[sceneIndex]));
+    copy.name = `${getSceneName(sceneIndex)} copy`;
+    if (!insertScene(sceneIndex + 1, copy)) return;
+    console.log(`🎬 Scene ${sceneIndex + 1} duplicated`);
+    renderAll();
+}
+
+function deleteScene(sceneIndex) {
+    if (scenes.length <= 1) return;
+    if (!confirm(`Delete ${getSceneName(sceneIndex)}?`)) return;
+    undoPush('Delete scene', 'scenes');
+    scenes.splice(sceneIndex, 1);
+    remapSceneIndices(i => i === sceneIndex ? -1 : i > sceneIndex ? i - 1 : i);
+    state.sceneBank = Math.min(state.sceneBank, getSceneBankCount() - 1);
+    console.log(`🎬 Scene ${sceneIndex + 1} deleted`);
+    renderAll();
+}
+
+function renameScene(sceneIndex, name) {
+    undoPush('Rename scene', 'scene', { scene: sceneIndex });
+    scenes[sceneIndex].name = name.trim();
+    renderSceneButtons();
+}
+
+function cycleSceneColor(sceneIndex) {
+    undoPush('Scene colour', 'scene', { scene: sceneIndex });
+    const scene = scenes[sceneIndex];
+    scene.color = scene.color === null ? 0 : scene.color + 1 < SCENE_COLORS.length ? scene.color + 1 : null;
+    renderSceneButtons();
+    renderGrid();
+}
+
+function renderSceneList() {
+    const list = document.getElementById('scene-list');
+    list.innerHTML = scenes.map((scene, i) => {
+        const color = SCENE_COLORS[scene.color];
+        const classes = ['scene-item'];
+        if (i === state.currentScene) classes.push('selected');
+        if (i === state.queuedScene) classes.push('queued');
+        return `<div class="${classes.join(' ')}" data-scene="${i}">
+            <button class="scene-color-dot" style="background:${color ? color.hex : 'var(--bg-elevated)'}" title="Colour"></button>
+            <span class="scene-item-num">${i + 1}</span>
+            <input type="text" class="scene-item-name" value="${scene.name.replace(/"/g, '&quot;')}" placeholder="Scene ${i + 1}" spellcheck="false">
+            <button class="scene-item-btn scene-dup" title="Duplicate">⧉</button>
+            <button class="scene-item-btn scene-insert" title="Insert empty scene after">+</button>
+            <button class="scene-item-btn scene-delete" title="Delete">✕</button>
+        </div>`;
+    }).join('');
+}
+
+function bindSceneList() {
+    const list = document.getElementById('scene-list');
+    list.addEventListener('click', (e) => {
+        const row = e.target.closest('.scene-item');
+        if (!row || e.target.classList.contains('scene-item-name')) return;
+        const sceneIndex = parseInt(row.dataset.scene);
+        if (e.target.classList.contains('scene-color-dot')) cycleSceneColor(sceneIndex);
+        else if (e.target.classList.contains('scene-dup')) duplicateScene(sceneIndex);
+        else if (e.target.classList.contains('scene-insert')) addSceneAfter(sceneIndex);
+        else if (e.target.classList.contains('scene-delete')) deleteScene(sceneIndex);
+        else if (state.copyMode === 'scene') executeCopy(sceneIndex);
+        else {
+            showSceneBank(sceneIndex);
+            launchScene(sceneIndex);
+            renderSceneButtons();
+        }
+    });
+    list.addEventListener('change', (e) => {
+        if (!e.target.classList.contains('scene-item-name')) return;
+        renameScene(parseInt(e.target.closest('.scene-item').dataset.scene), e.target.value);
+    });
+}
+
+// ── Song Mode ──
+
+// Arrangement entry: play a scene for a number of bars, optionally switching
+// tempo and overriding track mutes (per-track booleans) while it plays
+function createSongEntry(scene) {
+    return { scene, repeats: 1, bpm: null, mutes: null };
+}
+
+const SONG_BAR_STEPS = 16;
+
+const songPlayback = {
+    entry: 0,           // arrangement position
+    bar: 0,             // bars played of the current entry
+    pendingJump: null,  // position to jump to at the next bar
+    ended: false,       // ran past the last entry with loop off — stop is scheduled
+    savedMutes: null,   // { scene, mutes } put back when a mute override entry is left
+    savedBpm: null      // project tempo before the first entry changed it, put back when the song stops
+};
+
+function getSongLoopEnd() {
+    return Math.min(state.song.loopEnd, state.song.entries.length - 1);
+}
+
+// Called on each bar boundary while song mode plays
+function advanceSong(first) {
+    const song = state.song;
+    let next = Math.min(songPlayback.entry, song.entries.length - 1);
+
+    if (songPlayback.pendingJump !== null) {
+        next = songPlayback.pendingJump;
+        songPlayback.pendingJump = null;
+    } else if (!first) {
+        songPlayback.bar++;
+        if (songPlayback.bar < song.entries[next].repeats) return;
+        next++;
+        if (song.loop && next === getSongLoopEnd() + 1) {
+            next = song.loopStart;
+        } else if (next >= song.entries.length) {
+            endSong();
+            return;
+        }
+    }
+    songPlayback.bar = 0;
+    enterSongEntry(next);
+}
+
+function enterSongEntry(index) {
+    const entry = state.song.entries[index];
+    restoreSongMutes();
+    songPlayback.entry = index;
+    state.currentScene = entry.scene;
+
+    // Tempo is read per tick, so the new BPM starts exactly on this bar
+    if (entry.bpm) {
+        if (songPlayback.savedBpm === null) songPlayback.savedBpm = state.bpm;
+        setBpm(entry.bpm);
+    }
+    if (entry.mutes) {
+        const tracks = scenes[entry.scene].tracks;
+        songPlayback.savedMutes = { scene: entry.scene, mutes: tracks.map(t => t.muted) };
+        entry.mutes.forEach((muted, i) => { if (tracks[i]) tracks[i].muted = muted; });
+    }
+    console.log(`🎼 Song ${index + 1}/${state.song.entries.length}: scene ${entry.scene + 1} ×${entry.repeats}`);
+
+    runAtSchedulerTime(scheduler.tickTime, () => {
+        renderSceneButtons();
+        renderTrackList();
+        renderSideButtons();
+        renderSongList();
+    });
+}
+
+function restoreSongMutes() {
+    const saved = songPlayback.savedMutes;
+    if (!saved) return;
+    const tracks = scenes[saved.scene] ? scenes[saved.scene].tracks : [];
+    saved.mutes.forEach((muted, i) => { if (tracks[i]) tracks[i].muted = muted; });
+    songPlayback.savedMutes = null;
+}
+
+// Past the last entry with loop off: go silent and stop when the bar actually ends
+function endSong() {
+    songPlayback.ended = true;
+    restoreSongMutes();
+    restoreSongTempo();
+    console.log('🎼 Song finished');
+    runAtSchedulerTime(scheduler.tickTime, stop);
+}
+
+function restoreSongTempo() {
+    if (songPlayback.savedBpm === null) return;
+    setBpm(songPlayback.savedBpm);
+    songPlayback.savedBpm = null;
+}
+
+// Keeps the current tempo — stop and song mode off put the project tempo back first
+function resetSongPlayback() {
+    restoreSongMutes();
+    songPlayback.entry = 0;
+    songPlayback.bar = 0;
+    songPlayback.pendingJump = null;
+    songPlayback.ended = false;
+    songPlayback.savedBpm = null;
+}
+
+function setSongMode(on) {
+    state.songMode = on;
+    if (!on) {
+        restoreSongMutes();
+        restoreSongTempo();
+        songPlayback.pendingJump = null;
+    } else if (state.playing) {
+        // Join the arrangement at the next bar
+        songPlayback.pendingJump = Math.min(songPlayback.entry, Math.max(0, state.song.entries.length - 1));
+    }
+    console.log(`🎼 Song mode: ${on ? 'ON' : 'OFF'}`);
+    renderSongList();
+}
+
+// Jump to an arrangement position — on the next bar while the song plays
+function jumpToSongPosition(index) {
+    if (index < 0 || index >= state.song.entries.length) return;
+    if (state.playing && state.songMode) {
+        songPlayback.pendingJump = index;
+    } else {
+        songPlayback.entry = index;
+        songPlayback.bar = 0;
+        state.currentScene = state.song.entries[index].scene;
+        renderAll();
+    }
+    renderSongList();
+}
+
+function addSongEntry() {
+    undoPush('Add song entry', 'song');
+    state.song.entries.push(createSongEntry(state.currentScene));
+    // Keep the loop end on the last entry while it was there
+    if (state.song.loopEnd === state.song.entries.length - 2) state.song.loopEnd++;
+    renderSongList();
+}
+
+function removeSongEntry(index) {
+    undoPush('Remove song entry', 'song');
+    const song = state.song;
+    song.entries.splice(index, 1);
+    const last = Math.max(0, song.entries.length - 1);
+    if (song.loopStart > index) song.loopStart--;
+    if (song.loopEnd >= index) song.loopEnd = Math.max(0, song.loopEnd - 1);
+    song.loopStart = Math.min(song.loopStart, last);
+    song.loopEnd = Math.max(song.loopStart, Math.min(song.loopEnd, last));
+    if (songPlayback.entry >= song.entries.length) songPlayback.entry = last;
+    if (songPlayback.pendingJump !== null && songPlayback.pendingJump >= song.entries.length) {
+        songPlayback.pendingJump = null;
+    }
+    renderSongList();
+}
+
+// Snapshot the entry's scene mutes as its override, or clear the override
+function toggleSongEntryMutes(index) {
+    undoPush('Song entry mutes', 'song');
+    const entry = state.song.entries[index];
+    entry.mutes = entry.mutes ? null : scenes[entry.scene].tracks.map(t => t.muted);
+    renderSongList();
+}
+
+function setSongLoopPoint(which, position) {
+    undoPush('Song loop', 'song');
+    const song = state.song;
+    const last = Math.max(0, song.entries.length - 1);
+    const index = Math.max(0, Math.min(last, position - 1));
+    if (which === 'start') {
+        song.loopStart = index;
+        song.loopEnd = Math.max(song.loopEnd, index);
+    } else {
+        song.loopEnd = index;
+        song.loopStart = Math.min(song.loopStart, index);
+    }
+    renderSongList();
+}
+
+function renderSongList() {
+    const song = state.song;
+    const list = document.getElementById('song-list');
+    const sceneOptions = scenes.map((_, i) => `<option value="${i}">${i + 1}</option>`).join('');
+
+    list.innerHTML = song.entries.map((entry, i) => {
+        const classes = ['song-entry'];
+        if (state.songMode && i === songPlayback.entry) classes.push('current');
+        if (i === songPlayback.pendingJump) classes.push('queued');
+        if (song.loop && i >= song.loopStart && i <= getSongLoopEnd()) classes.push('in-loop');
+        return `<div class="${classes.join(' ')}" data-index="${i}">
+            <button class="song-pos" title="Jump here">${i + 1}</button>
+            <select class="ctrl-select song-scene" title="Scene">${sceneOptions}</select>
+            <input type="number" class="ctrl-number song-repeats" min="1" max="64" value="${entry.repeats}" title="Bars">
+            <input type="number" class="ctrl-number song-bpm" min="20" max="300" value="${entry.bpm || ''}" placeholder="BPM" title="Tempo change (empty = keep)">
+            <button class="song-mutes${entry.mutes ? ' active' : ''}" title="Mute override: snapshot the scene's current mutes (click again to clear)">M</button>
+            <button class="song-delete" title="Remove">✕</button>
+        </div>`;
+    }).join('');
+    list.querySelectorAll('.song-scene').forEach((sel, i) => { sel.value = song.entries[i].scene; });
+
+    document.getElementById('btn-song-mode').classList.toggle('active', state.songMode);
+    document.getElementById('btn-song-loop').classList.toggle('active', song.loop);
+    const loopStart = document.getElementById('song-loop-start');
+    const loopEnd = document.getElementById('song-loop-end');
+    loopStart.max = loopEnd.max = Math.max(1, song.entries.length);
+    loopStart.value = song.loopStart + 1;
+    loopEnd.value = song.loopEnd + 1;
+}
+
+function bindSongControls() {
+    document.getElementById('btn-song-mode').addEventListener('click', () => setSongMode(!state.songMode));
+    document.getElementById('btn-song-add').addEventListener('click', addSongEntry);
+    document.getElementById('btn-song-loop').addEventListener('click', () => {
+        undoPush('Song loop', 'song');
+        state.song.loop = !state.song.loop;
+        renderSongList();
+    });
+    document.getElementById('song-loop-start').addEventListener('change', (e) => setSongLoopPoint('start', parseInt(e.target.value) || 1));
+    document.getElementById('song-loop-end').addEventListener('change', (e) => setSongLoopPoint('end', parseInt(e.target.value) || 1));
+
+    const list = document.getElementById('song-list');
+    list.addEventListener('click', (e) => {
+        const row = e.target.closest('.song-entry');
+        if (!row) return;
+        const index = parseInt(row.dataset.index);
+        if (e.target.classList.contains('song-pos')) jumpToSongPosition(index);
+        else if (e.target.classList.contains('song-mutes')) toggleSongEntryMutes(index);
+        else if (e.target.classList.contains('song-delete')) removeSongEntry(index);
+    });
+    list.addEventListener('change', (e) => {
+        const row = e.target.closest('.song-entry');
+        if (!row) return;
+        const entry = state.song.entries[parseInt(row.dataset.index)];
+        undoPush('Song entry', 'song');
+        if (e.target.classList.contains('song-scene')) {
+            entry.scene = parseInt(e.target.value);
+            entry.mutes = null; // the snapshot belonged to the old scene
+        } else if (e.target.classList.contains('song-repeats')) {
+            entry.repeats = Math.max(1, Math.min(64, parseInt(e.target.value) || 1));
+        } else if (e.target.classList.contains('song-bpm')) {
+            const bpm = parseInt(e.target.value);
+            entry.bpm = bpm ? Math.max(20, Math.min(300, bpm)) : null;
+        }
+        renderSongList();
+    });
+}
+
+// ──────────────────────────────────────────────
+// UNDO / REDO
+// ──────────────────────────────────────────────
+//
+// Each history entry holds a snapshot of the part of the project an edit touched:
+//   track    one track of one scene      { scene, track }
+//   scene    one scene                   { scene }
+//   scenes   the scene list and song     (insert / duplicate / delete)
+//   song     the song arrangement
+//   harmony  harmony pattern, key, scale
+//   sample   a track's sample slot       { track }
+// Undo swaps the snapshot with the current state, so the entry moves to the redo stack.
+
+const UNDO_LIMIT = 50;
+// Repeats of the same label on the same target within this window are one step (slider drags,
+// nudges). Per-step edits put the step number in the label, so presses on different steps stay apart.
+const UNDO_MERGE_MS = 800;
+
+const undoHistory = { undo: [], redo: [] };
+
+const UNDO_SCOPES = {
+    track: {
+        exists: ({ scene, track }) => !!scenes[scene]?.tracks[track],
+        capture: ({ scene, track }) => ({ json: JSON.stringify(scenes[scene].tracks[track]) }),
+        restore: ({ scene, track }, snap) => {
+            const restored = JSON.parse(snap.json);
+            keepWalkState(scenes[scene].tracks[track], restored);
+            scenes[scene].tracks[track] = restored;
+        }
+    },
+    scene: {
+        exists: ({ scene }) => !!scenes[scene],
+        capture: ({ scene }) => ({ json: JSON.stringify(scenes[scene]) }),
+        restore: ({ scene }, snap) => {
+            const restored = JSON.parse(snap.json);
+            scenes[scene].tracks.forEach((track, i) => keepWalkState(track, restored.tracks[i]));
+            scenes[scene] = restored;
+        }
+    },
+    scenes: {
+        exists: () => true,
+        capture: () => ({ json: JSON.stringify({ scenes, song: state.song }) }),
+        restore: (target, snap) => {
+            const data = JSON.parse(snap.json);
+            scenes = data.scenes;
+            state.song = data.song;
+            clampSongPlayback();
+            state.currentScene = Math.min(state.currentScene, scenes.length - 1);
+            state.queuedScene = null;
+            showSceneBank(state.currentScene);
+        }
+    },
+    song: {
+        exists: () => true,
+        capture: () => ({ json: JSON.stringify(state.song) }),
+        restore: (target, snap) => {
+            state.song = JSON.parse(snap.json);
+            clampSongPlayback();
+        }
+    },
+    harmony: {
+        exists: () => true,
+        capture: () => ({
+            json: JSON.stringify({ pattern: harmonyState.pattern, key: harmonyState.key, scale: harmonyState.scale })
+        }),
+        restore: (target, snap) => {
+            Object.assign(harmonyState, JSON.parse(snap.json));
+            if (harmonyState.rhodes) harmonyState.rhodes.allNotesOff();
+            harmonyMidiAllNotesOff();
+            recomputeHarmony();
+        }
+    },
+    sample: {
+        exists: ({ track }) => !!window.audioEngine?.trackSamples[track],
+        // The audio buffer is kept by reference — only the settings go through JSON
+        capture: ({ track }) => {
+            const { buffer, fileHandle, waveformData, ...settings } = window.audioEngine.trackSamples[track];
+            return { json: JSON.stringify(settings), refs: { buffer, fileHandle, waveformData } };
+        },
+        restore: ({ track }, snap) => {
+            window.audioEngine.trackSamples[track] = Object.assign(JSON.parse(snap.json), snap.refs);
+        }
+    }
+};
+
+// Undo swaps in new track objects: a random / drunk track keeps its walk mid-play
+function keepWalkState(oldTrack, newTrack) {
+    const walk = oldTrack && _walkState.get(oldTrack);
+    if (walk && newTrack) _walkState.set(newTrack, walk);
+}
+
+function clampSongPlayback() {
+    songPlayback.entry = Math.min(songPlayback.entry, Math.max(0, state.song.entries.length - 1));
+    songPlayback.pendingJump = null;
+}
+
+function getUndoTarget(scope) {
+    if (scope === 'track') return { scene: state.currentScene, track: state.currentTrack };
+    if (scope === 'scene') return { scene: state.currentScene };
+    if (scope === 'sample') return { track: state.currentTrack };
+    return null;
+}
+
+// Call BEFORE changing anything. `label` names the edit in the console.
+function undoPush(label, scope, target = getUndoTarget(scope)) {
+    const handler = UNDO_SCOPES[scope];
+    if (!handler.exists(target)) return;
+    const key = `${scope}:${JSON.stringify(target)}`;
+    const now = performance.now();
+    const last = undoHistory.undo[undoHistory.undo.length - 1];
+    undoHistory.redo = [];
+
+    if (last && last.key === key && last.label === label && now - last.time < UNDO_MERGE_MS) {
+        last.time = now; // still the same gesture (slider drag, repeated nudges)
     } else {
-        state.midiNotesQueue.push({ clockTick, length: step.length / track.tempoModifier, note, channel: track.channel, velocity: step.velocity });
+        undoHistory.undo.push({ label, scope, target, key, time: now, snap: handler.capture(target) });
+        if (undoHistory.undo.length > UNDO_LIMIT) undoHistory.undo.shift();
     }
+    updateUndoButtons();
 }
 
-function processNoteOns() {
-    state.midiNotesQueue.forEach(e => {
-        if (state.clockTick === e.clockTick && !e.sent) {
-            sendNoteOn(e.note, e.velocity, e.channel);
-            e.sent = true;
-        }
-    });
+function undo() {
+    stepUndoHistory(undoHistory.undo, undoHistory.redo, 'Undo');
 }
 
-function processNoteOffs() {
-    state.midiNotesQueue.forEach(e => {
-        if (e.sent && state.clockTick - e.clockTick >= e.length * state.clockResolution) {
-            sendNoteOff(e.note, e.channel);
-            e.done = true;
-        }
-    });
+function redo() {
+    stepUndoHistory(undoHistory.redo, undoHistory.undo, 'Redo');
 }
 
-function cleanupNoteQueue() {
-    state.midiNotesQueue = state.midiNotesQueue.filter(e => !e.done);
-}
+// Restore the newest entry of `from` and keep the state it replaced on `to`.
+// Entries whose target no longer differs (or no longer exists) are dropped.
+function stepUndoHistory(from, to, verb) {
+    while (from.length > 0) {
+        const entry = from.pop();
+        const handler = UNDO_SCOPES[entry.scope];
+        if (!handler.exists(entry.target)) continue;
+        const current = handler.capture(entry.target);
+        if (current.json === entry.snap.json) continue;
 
-function getPlayingScene() {
-    if (state.chainMode && state.scenesChain.length > 0) {
-        const stepsPerCycle = 16;
-        if (state.currentStep % stepsPerCycle === 0) {
-            state.currentSceneInChain++;
-            const sceneIndex = state.scenesChain[state.currentSceneInChain % state.scenesChain.length];
-            state.currentScene = sceneIndex;
-            renderSceneButtons();
-        }
+        handler.restore(entry.target, entry.snap);
+        to.push({ ...entry, time: 0, snap: current });
+        console.log(`↶ ${verb}: ${entry.label}`);
+        renderAll();
+        if (entry.scope === 'harmony') updateHarmonyUI();
+        if (entry.scope === 'sample') updateSampleEditor();
+        if (entry.scope === 'scenes' || entry.scope === 'song') renderSongList();
+        break;
     }
-    return state.currentScene;
+    updateUndoButtons();
+}
+
+function updateUndoButtons() {
+    document.getElementById('btn-undo').disabled = undoHistory.undo.length === 0;
+    document.getElementById('btn-redo').disabled = undoHistory.redo.length === 0;
 }
 
 // ──────────────────────────────────────────────
@@ -1444,6 +4465,7 @@ function getCurrentTrack() {
 function toggleStep(stepIndex) {
     const track = getCurrentTrack();
     if (stepIndex >= track.trackLength) return;
+    undoPush(`Step ${stepIndex + 1}`, 'track');
 
     // If this step is part of a triplet group, clear the entire group
     if (track.pattern[stepIndex].triplet) {
@@ -1453,7 +4475,7 @@ function toggleStep(stepIndex) {
         track.pattern[stepIndex].triplet = false;
         track.pattern[stepIndex].tripletType = null;
         track.pattern[stepIndex].tripletSpan = null;
-        for (let s = stepIndex + 1; s <= stepIndex + span && s < 16; s++) {
+        for (let s = stepIndex + 1; s <= stepIndex + span && s < track.pattern.length; s++) {
             track.pattern[s].active = false;
             track.pattern[s].singleTriplet = false;
         }
@@ -1475,7 +4497,7 @@ function toggleStep(stepIndex) {
                 track.pattern[s].tripletType = null;
                 track.pattern[s].tripletSpan = null;
                 // Clear all consumed steps in the group
-                for (let c = s + 1; c <= s + span && c < 16; c++) {
+                for (let c = s + 1; c <= s + span && c < track.pattern.length; c++) {
                     track.pattern[c].active = false;
                     track.pattern[c].singleTriplet = false;
                 }
@@ -1496,11 +4518,12 @@ function toggleStep(stepIndex) {
     updateStepInfo();
 }
 
-function toggleNote(noteOffset) {
+function toggleNote(padIndex) {
     const track = getCurrentTrack();
     const trackIndex = scenes[state.currentScene].tracks.indexOf(track);
-    const noteIndex = (state.currentOctave * 12) + noteOffset;
+    const noteIndex = getInnerPadNote(padIndex);
     if (noteIndex >= 96) return;
+    undoPush(`Pitch step ${state.lastPressedStep + 1}`, 'track');
 
     const step = track.pattern[state.lastPressedStep];
 
@@ -1510,11 +4533,14 @@ function toggleNote(noteOffset) {
     // Audition: play the sample at this pitch
     auditionPitch(trackIndex, noteIndex);
 
-    // Record mode: write to current playing step
+    // Record mode: write to the step the note lands on (input quantize)
     if (state.recordMode && state.playing) {
-        const playingStep = Math.floor(state.currentStep * track.tempoModifier) % track.trackLength;
-        track.pattern[playingStep].active = true;
-        track.pattern[playingStep].pitchNote = noteIndex;
+        const target = getLiveRecordTarget(track, getNowTick());
+        const playingStep = track.pattern[target.stepIndex];
+        if (!isStackingRecord(playingStep, target.trackStep)) playingStep.microTiming = target.microTiming;
+        playingStep.active = true;
+        playingStep.pitchNote = noteIndex;
+        _liveRecordSteps.set(playingStep, target.trackStep);
     }
     // Always remember last pitch for overdub
     state.lastRecordedPitch = noteIndex;
@@ -1544,6 +4570,10 @@ function auditionPitch(trackIndex, noteIndex) {
 function handleSmallGridPress(gridIndex) {
     const track = getCurrentTrack();
     const step = track.pattern[state.lastPressedStep];
+    // Octave only moves the keyboard; CC edits a lane, not the step
+    if (state.smallGridMode !== 'octave' && (state.smallGridMode !== 'cc' || getSelectedCCLane())) {
+        undoPush(`Step ${state.lastPressedStep + 1} edit`, 'track');
+    }
 
     if (state.smallGridMode === 'length') {
         const newLength = (gridIndex + 1) * 2 - 1;
@@ -1552,6 +4582,35 @@ function handleSmallGridPress(gridIndex) {
         step.velocity = Math.round((127 / 8) * (gridIndex + 1));
     } else if (state.smallGridMode === 'octave') {
         state.currentOctave = gridIndex;
+    } else if (state.smallGridMode === 'probability') {
+        const newProb = Math.round((gridIndex + 1) * 12.5);
+        // Pressing the top lit pad again drops by half a pad (e.g. 100 → 94)
+        step.probability = step.probability === newProb ? Math.round(newProb - 6.25) : newProb;
+    } else if (state.smallGridMode === 'condition') {
+        const pad = TRIG_CONDITION_PADS[gridIndex];
+        if (pad && pad.startsWith('ratio:')) {
+            // Repeat press cycles A:B through 1..B
+            const b = parseInt(pad.slice(6));
+            const m = /^(\d+):(\d+)$/.exec(step.condition || '');
+            const a = m && parseInt(m[2]) === b ? (parseInt(m[1]) % b) + 1 : 1;
+            step.condition = `${a}:${b}`;
+        } else {
+            step.condition = pad;
+        }
+    } else if (state.smallGridMode === 'ratchet') {
+        const count = gridIndex + 1;
+        if ((step.ratchet || 1) === count && count > 1) {
+            // Repeat press cycles the velocity ramp: none → up → down
+            step.ratchetRamp = step.ratchetRamp === null ? 'up' : step.ratchetRamp === 'up' ? 'down' : null;
+        } else {
+            step.ratchet = count;
+        }
+    } else if (state.smallGridMode === 'micro') {
+        const ticks = MICRO_TIMING_PADS[gridIndex];
+        step.microTiming = step.microTiming === ticks ? 0 : ticks;
+    } else if (state.smallGridMode === 'cc') {
+        // Pads 1-8 = lane value 0-127 at the selected step
+        setCCLaneValue(state.lastPressedStep, 127 * gridIndex / 7);
     }
 
     renderGrid();
@@ -1559,6 +4618,9 @@ function handleSmallGridPress(gridIndex) {
 }
 
 function changeScene(sceneIndex) {
+    // Picking a scene by hand takes over from the arrangement
+    if (state.songMode) setSongMode(false);
+    if (sceneIndex !== state.currentScene) _sceneBars = 0;
     state.currentScene = sceneIndex;
     state.chainMode = false;
     state.scenesChain = [];
@@ -1572,45 +4634,366 @@ function changeTrack(trackIndex) {
 }
 
 function toggleMute(trackIndex) {
-    scenes[state.currentScene].tracks[trackIndex].muted = !scenes[state.currentScene].tracks[trackIndex].muted;
+    setTrackMuted(state.currentScene, trackIndex, !getTargetMute(state.currentScene, trackIndex));
+    renderMixState();
+}
+
+// ── Mute / Solo / Groups ──
+
+const MIX_GROUP_COUNT = 8;
+
+let _pendingMutes = new Map(); // 'scene:track' → muted, applied on the next bar
+
+// Mute state a track is heading to (a pending next-bar change, else the current one)
+function getTargetMute(sceneIndex, trackIndex) {
+    const pending = _pendingMutes.get(`${sceneIndex}:${trackIndex}`);
+    return pending !== undefined ? pending : scenes[sceneIndex].tracks[trackIndex].muted;
+}
+
+function hasPendingMute(sceneIndex, trackIndex) {
+    return _pendingMutes.has(`${sceneIndex}:${trackIndex}`);
+}
+
+function setTrackMuted(sceneIndex, trackIndex, muted) {
+    const track = scenes[sceneIndex].tracks[trackIndex];
+    if (state.muteQuantize && state.playing) {
+        const key = `${sceneIndex}:${trackIndex}`;
+        if (track.muted === muted) _pendingMutes.delete(key);
+        else _pendingMutes.set(key, muted);
+    } else {
+        track.muted = muted;
+    }
+}
+
+// Called on each bar boundary (and on stop)
+function applyPendingMutes() {
+    if (_pendingMutes.size === 0) return;
+    _pendingMutes.forEach((muted, key) => {
+        const [sceneIndex, trackIndex] = key.split(':').map(Number);
+        if (scenes[sceneIndex]) scenes[sceneIndex].tracks[trackIndex].muted = muted;
+    });
+    _pendingMutes.clear();
+    console.log('🔇 Queued mutes applied');
+    runAtSchedulerTime(scheduler.tickTime, renderMixState);
+}
+
+function toggleMuteQuantize() {
+    state.muteQuantize = !state.muteQuantize;
+    if (!state.muteQuantize) applyPendingMutes();
+    renderMixState();
+}
+
+// Solo in place: soloed tracks keep playing, the rest are silenced without
+// touching their mute state, so clearing solo gives back the same mix
+function isTrackAudible(scene, trackIndex) {
+    const track = scene.tracks[trackIndex];
+    if (track.muted) return false;
+    return track.solo || !scene.tracks.some(t => t.solo);
+}
+
+function toggleSolo(trackIndex) {
+    const track = scenes[state.currentScene].tracks[trackIndex];
+    track.solo = !track.solo;
+    console.log(`🎧 Track ${trackIndex + 1} solo ${track.solo ? 'ON' : 'OFF'}`);
+    renderMixState();
+}
+
+function clearSolo() {
+    scenes[state.currentScene].tracks.forEach(t => { t.solo = false; });
+    renderMixState();
+}
+
+function getGroupMembers(scene, field, group) {
+    return scene.tracks.reduce((members, t, i) => t[field] === group ? members.concat(i) : members, []);
+}
+
+// Mute the whole group if any member is playing, otherwise unmute it
+function toggleMuteGroup(group) {
+    const sceneIndex = state.currentScene;
+    const members = getGroupMembers(scenes[sceneIndex], 'muteGroup', group);
+    if (members.length === 0) return;
+    const mute = members.some(i => !getTargetMute(sceneIndex, i));
+    members.forEach(i => setTrackMuted(sceneIndex, i, mute));
+    console.log(`🔇 Mute group ${group + 1} ${mute ? 'muted' : 'unmuted'}`);
+    renderMixState();
+}
+
+function isMuteGroupMuted(group) {
+    const sceneIndex = state.currentScene;
+    const members = getGroupMembers(scenes[sceneIndex], 'muteGroup', group);
+    return members.length > 0 && members.every(i => getTargetMute(sceneIndex, i));
+}
+
+function setTrackGroup(field, group) {
+    getCurrentTrack()[field] = group;
+    renderMixState();
+}
+
+// Choke: a hit on this track cuts the sample voices of the rest of its choke group
+function chokeTrackGroup(scene, trackIndex, when) {
+    const group = scene.tracks[trackIndex].chokeGroup;
+    if (group === null || group === undefined) return;
+    const others = getGroupMembers(scene, 'chokeGroup', group).filter(i => i !== trackIndex);
+    if (others.length > 0) window.audioEngine.chokeTracks(others, when);
+}
+
+function renderMixState() {
     renderTrackList();
     renderSideButtons();
+    updateMixControls();
+    updateLaunchpadLEDs();
+}
+
+function updateMixControls() {
+    const track = getCurrentTrack();
+    document.getElementById('mute-group-select').value = track.muteGroup ?? '';
+    document.getElementById('choke-group-select').value = track.chokeGroup ?? '';
+    document.getElementById('btn-mute-quantize').classList.toggle('active', state.muteQuantize);
+    const scene = scenes[state.currentScene];
+    document.querySelectorAll('.mute-group-btn').forEach(btn => {
+        const group = parseInt(btn.dataset.group);
+        const members = getGroupMembers(scene, 'muteGroup', group);
+        btn.disabled = members.length === 0;
+        btn.classList.toggle('active', isMuteGroupMuted(group));
+        btn.classList.toggle('pending', members.some(i => hasPendingMute(state.currentScene, i)));
+    });
 }
 
 function changeTempo() {
+    undoPush('Rate', 'track');
+    const track = getCurrentTrack();
+    const idx = TEMPO_MODIFIERS.findIndex(t => Math.abs(t - track.tempoModifier) < 1e-9);
+    track.tempoModifier = TEMPO_MODIFIERS[(idx + 1) % TEMPO_MODIFIERS.length];
+    renderAll();
+}
+
+// ── Clock Divisions ──
+
+// Tempo corner cycle: straight divisions first, then faster / triplet / dotted rates.
+// Values are speeds (steps per 16th). The triplet and dotted presets are named by step
+// length instead: 4/3T = steps 4/3 of a 16th long (speed 3/4), 3/4D = 3/4 long (speed 4/3).
+const TEMPO_MODIFIERS = [1, 0.5, 0.25, 0.125, 2, 1.5, 3 / 4, 4 / 3];
+const TEMPO_LENGTH_NAMES = new Map([[3 / 4, '4/3T'], [4 / 3, '3/4D']]);
+const TEMPO_MIN = 1 / 16;
+const TEMPO_MAX = 4;
+
+// "3:2", "4/3", "1.5" → steps per 16th (null if invalid)
+function parseTempoRatio(text) {
+    const m = /^\s*(\d+(?:\.\d+)?)\s*(?:[:/]\s*(\d+(?:\.\d+)?))?\s*x?\s*$/i.exec(String(text));
+    if (!m) return null;
+    const value = parseFloat(m[1]) / (m[2] ? parseFloat(m[2]) : 1);
+    if (!Number.isFinite(value) || value <= 0) return null;
+    return Math.max(TEMPO_MIN, Math.min(TEMPO_MAX, value));
+}
+
+function setTempoModifier(value) {
+    if (value == null) return;
+    undoPush('Rate', 'track');
+    getCurrentTrack().tempoModifier = value;
+    console.log(`⏱️ Track ${state.currentTrack + 1} rate: ${formatTempoModifier(value)}`);
+    renderAll();
+}
+
+// Display a rate as the simplest fraction with a denominator up to 16
+function formatTempoModifier(value) {
+    if (TEMPO_LENGTH_NAMES.has(value)) return TEMPO_LENGTH_NAMES.get(value);
+    const names = { 0.5: '½', 0.25: '¼', 0.125: '⅛' };
+    if (names[value]) return names[value] + 'x';
+    for (let den = 1; den <= 16; den++) {
+        const num = Math.round(value * den);
+        if (Math.abs(num / den - value) < 1e-9) return den === 1 ? `${num}x` : `${num}/${den}x`;
+    }
+    return `${value.toFixed(2)}x`;
+}
+
+// Track step playing at a clock tick (a step starts every 6 / tempoModifier ticks)
+function getTrackStepAtTick(track, tick) {
+    return Math.floor(tick * track.tempoModifier / state.clockResolution + 1e-9);
+}
+
+// The track step that starts within [tick, tick + 1), with its exact start tick, or null.
+// Rates are capped at 4x, so at most one step starts per tick.
+function getTrackStepStartingInTick(track, tick) {
+    const trackStep = Math.ceil(tick * track.tempoModifier / state.clockResolution - 1e-9);
+    const startTick = trackStep * state.clockResolution / track.tempoModifier;
+    if (startTick >= tick + 1 - 1e-9) return null;
+    return { trackStep, startTick: Math.max(tick, startTick) };
+}
+
+// ── Playback Direction ──
+
+const DIRECTION_MODES = ['forward', 'reverse', 'pendulum', 'random', 'drunk'];
+const DIRECTION_LABELS = { forward: '→', reverse: '←', pendulum: '↔', random: '?', drunk: '~' };
+
+let _walkState = new WeakMap(); // track -> { [trackStep]: stepIndex } for random / drunk
+
+function changeDirection() {
     const track = getCurrentTrack();
-    const tempos = [1, 0.5, 0.25, 0.125];
-    const idx = tempos.indexOf(track.tempoModifier);
-    track.tempoModifier = tempos[(idx + 1) % tempos.length];
+    const idx = DIRECTION_MODES.indexOf(track.direction || 'forward');
+    setTrackDirection(DIRECTION_MODES[(idx + 1) % DIRECTION_MODES.length]);
+}
+
+function setTrackDirection(direction) {
+    undoPush('Direction', 'track');
+    getCurrentTrack().direction = direction;
+    console.log(`🔀 Track ${state.currentTrack + 1} direction: ${direction}`);
     renderAll();
 }
 
+// Pattern step a track plays at trackStep (track steps counted since play started)
+function getDirectionStep(track, trackStep) {
+    const len = track.trackLength;
+    switch (track.direction) {
+        case 'reverse':
+            return len - 1 - (trackStep % len);
+        case 'pendulum': {
+            // 0 → len-1 → 1, without repeating the end steps
+            if (len < 2) return 0;
+            const pos = trackStep % (2 * (len - 1));
+            return pos < len ? pos : 2 * (len - 1) - pos;
+        }
+        case 'random':
+        case 'drunk':
+            return getWalkStep(track, trackStep);
+        default:
+            return trackStep % len;
+    }
+}
+
+// Random / drunk positions are remembered per track step, so the MIDI and
+// sample paths and the cursor all see the same step
+function getWalkStep(track, trackStep) {
+    let walk = _walkState.get(track);
+    if (!walk) _walkState.set(track, walk = {});
+    if (trackStep in walk) return walk[trackStep];
+
+    const len = track.trackLength;
+    const prev = walk[trackStep - 1];
+    let index;
+    if (track.direction === 'drunk') {
+        // Random walk: one step back or forward, starting from the first step
+        index = prev == null ? 0 : (prev + (Math.random() < 0.5 ? -1 : 1) + len) % len;
+    } else {
+        index = Math.floor(Math.random() * len);
+    }
+    for (const k in walk) {
+        if (k < trackStep - 2) delete walk[k];
+    }
+    walk[trackStep] = index;
+    return index;
+}
+
+// Pattern step a track is on right now (cursor, live recording)
+function getTrackPlayStep(track) {
+    return getDirectionStep(track, getTrackStepAtTick(track, Math.max(0, state.clockTick)));
+}
+
+function updateDirectionButtons() {
+    const direction = getCurrentTrack().direction || 'forward';
+    document.querySelectorAll('.direction-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.direction === direction);
+    });
+}
+
 function changeTrackLength(length) {
+    undoPush('Length', 'track');
     const track = getCurrentTrack();
-    track.trackLength = Math.max(1, Math.min(16, length));
+    track.trackLength = Math.max(1, Math.min(MAX_TRACK_LENGTH, length));
+    ensurePatternLength(track, track.trackLength);
+    renderGrid();
+    updateStepInfo();
+}
+
+// ── Step Pages ──
+
+// Grow a pattern to at least `length` steps, in whole pages
+function ensurePatternLength(track, length) {
+    const target = Math.min(MAX_TRACK_LENGTH, Math.ceil(length / STEPS_PER_PAGE) * STEPS_PER_PAGE);
+    while (track.pattern.length < target) track.pattern.push(createStep());
+}
+
+function getPageCount(track) {
+    return Math.ceil(track.trackLength / STEPS_PER_PAGE);
+}
+
+// Page shown on the ring: the playhead's page when following, else the edited page
+function getViewPage(track = getCurrentTrack()) {
+    if (state.pageFollow && state.playing && getPageCount(track) > 1) {
+        const playingStep = getTrackPlayStep(track);
+        return Math.floor(playingStep / STEPS_PER_PAGE);
+    }
+    return state.stepPage;
+}
+
+// Big grid ring position → page-absolute step index
+function padToStep(bigIdx) {
+    return getViewPage() * STEPS_PER_PAGE + bigIdx;
+}
+
+function setStepPage(page) {
+    if (state.copyMode === 'page') {
+        executeCopy(page);
+        return;
+    }
+    state.stepPage = Math.max(0, Math.min(MAX_TRACK_LENGTH / STEPS_PER_PAGE - 1, page));
+    // Picking a page while following pins the view there
+    if (state.pageFollow && state.playing) state.pageFollow = false;
+    console.log(`📄 Step page ${state.stepPage + 1}${state.pageFollow ? '' : ' (locked)'}`);
+    renderGrid();
+    updateStepInfo();
+}
+
+function togglePageFollow() {
+    state.pageFollow = !state.pageFollow;
+    console.log(`📄 Page follow: ${state.pageFollow ? 'ON' : 'OFF'}`);
     renderGrid();
     updateStepInfo();
 }
 
+function updateStepPageButtons() {
+    const track = getCurrentTrack();
+    const viewPage = getViewPage(track);
+    document.querySelectorAll('.step-page-btn').forEach(btn => {
+        const page = parseInt(btn.dataset.page);
+        btn.classList.toggle('active', page === viewPage);
+        btn.classList.toggle('out-of-range', page >= getPageCount(track));
+    });
+    document.getElementById('btn-page-follow').classList.toggle('active', state.pageFollow);
+}
+
+// Selected step can be past the end of a shorter track after switching tracks/scenes
+function clampSelectedStep() {
+    if (state.lastPressedStep >= getCurrentTrack().pattern.length) state.lastPressedStep = 0;
+}
+
+// Shifts rotate within the track's pages, so longer tracks keep their steps in range
 function shiftPatternRight() {
+    undoPush('Shift', 'track');
     const track = getCurrentTrack();
-    const last = track.pattern.pop();
-    track.pattern.unshift(last);
+    const span = getPageCount(track) * STEPS_PER_PAGE;
+    const steps = track.pattern.splice(0, span);
+    steps.unshift(steps.pop());
+    track.pattern.unshift(...steps);
     renderGrid();
 }
 
 function shiftPatternLeft() {
+    undoPush('Shift', 'track');
     const track = getCurrentTrack();
-    const first = track.pattern.shift();
-    track.pattern.push(first);
+    const span = getPageCount(track) * STEPS_PER_PAGE;
+    const steps = track.pattern.splice(0, span);
+    steps.push(steps.shift());
+    track.pattern.unshift(...steps);
     renderGrid();
 }
 
 function randomPattern() {
+    undoPush('Random', 'track');
     const track = getCurrentTrack();
-    const len = Math.floor(Math.random() * 16) + 1;
+    const len = Math.floor(Math.random() * MAX_TRACK_LENGTH) + 1;
     track.trackLength = len;
-    for (let i = 0; i < 16; i++) {
+    ensurePatternLength(track, len);
+    for (let i = 0; i < track.pattern.length; i++) {
         track.pattern[i].active = i < len && Math.random() > 0.5;
     }
     renderGrid();
@@ -1618,9 +5001,80 @@ function randomPattern() {
     document.getElementById('track-length-value').textContent = len;
 }
 
+// ── Euclidean Generator ──
+
+// Spread `hits` as evenly as possible over `steps` (Bresenham form of Bjorklund),
+// then rotate right by `rotation`
+function euclideanRhythm(hits, steps, rotation = 0) {
+    const out = new Array(steps).fill(false);
+    if (hits <= 0) return out;
+    for (let i = 0; i < steps; i++) {
+        out[(i + rotation) % steps] = (i * hits) % steps < hits;
+    }
+    return out;
+}
+
+// Writes into the current track's pattern only — the note queue and the re-trigger
+// guards are left alone, so notes already scheduled still play when regenerating live
+function generateEuclidean() {
+    undoPush('Euclidean', 'track');
+    const track = getCurrentTrack();
+    const { steps, rotation } = state.euclid;
+    const hits = Math.min(state.euclid.hits, steps);
+    const rhythm = euclideanRhythm(hits, steps, rotation % steps);
+
+    track.trackLength = steps;
+    ensurePatternLength(track, steps);
+    rhythm.forEach((on, i) => {
+        const step = track.pattern[i];
+        step.active = on;
+        step.triplet = false;
+        step.tripletType = null;
+        step.tripletSpan = null;
+        step.doubleNote = false;
+        step.singleTriplet = false;
+    });
+    console.log(`🌀 Euclidean E(${hits},${steps}) rot ${rotation} → track ${state.currentTrack + 1}`);
+    renderGrid();
+    updateStepInfo();
+    updateEuclidControls();
+}
+
+// Change a generator parameter; in live mode the pattern follows immediately
+function setEuclidParam(param, value) {
+    state.euclid[param] = value;
+    state.euclid.hits = Math.min(state.euclid.hits, state.euclid.steps);
+    state.euclid.rotation = Math.min(state.euclid.rotation, state.euclid.steps - 1);
+    if (state.euclid.live) generateEuclidean();
+    else updateEuclidControls();
+}
+
+function toggleEuclidLive() {
+    state.euclid.live = !state.euclid.live;
+    console.log(`🌀 Euclidean live regenerate: ${state.euclid.live ? 'ON' : 'OFF'}`);
+    if (state.euclid.live) generateEuclidean();
+    else updateEuclidControls();
+}
+
+function updateEuclidControls() {
+    const { hits, steps, rotation, live } = state.euclid;
+    const hitsEl = document.getElementById('euclid-hits');
+    const rotEl = document.getElementById('euclid-rotation');
+    hitsEl.max = steps;
+    rotEl.max = steps - 1;
+    hitsEl.value = hits;
+    document.getElementById('euclid-steps').value = steps;
+    rotEl.value = rotation;
+    document.getElementById('euclid-hits-value').textContent = hits;
+    document.getElementById('euclid-steps-value').textContent = steps;
+    document.getElementById('euclid-rotation-value').textContent = rotation;
+    document.getElementById('btn-euclid-live').classList.toggle('active', live);
+}
+
 function clearPattern() {
     if (state.mode === 'harmony') {
         // Clear all harmony steps
+        undoPush('Clear', 'harmony');
         harmonyState.pattern.forEach(step => {
             step.active = false;
             step.function = 'tonic';
@@ -1638,6 +5092,7 @@ function clearPattern() {
         updateHarmonyUI();
         return;
     }
+    undoPush('Clear', 'track');
     const track = getCurrentTrack();
     track.pattern.forEach(step => {
         step.active = false;
@@ -1649,7 +5104,7 @@ function clearPattern() {
 }
 
 function cycleSmallGridMode(direction) {
-    const modes = ['length', 'velocity', 'octave'];
+    const modes = ['length', 'velocity', 'octave', 'probability', 'condition', 'ratchet', 'micro', 'cc'];
     const idx = modes.indexOf(state.smallGridMode);
     state.smallGridMode = modes[(idx + (direction === 'up' ? 1 : modes.length - 1)) % modes.length];
     renderGrid();
@@ -1745,16 +5200,29 @@ function startCopy(type) {
     }
 
     state.copyMode = type;
-    state.copyOrigin = type === 'step' ? state.lastPressedStep : state.currentScene;
+    state.copyOrigin = type === 'step' ? state.lastPressedStep
+        : type === 'page' ? getViewPage() : state.currentScene;
     updateCopyButtons();
 }
 
 function executeCopy(target) {
     if (!state.copyMode) return;
+    if (state.copyMode === 'track') undoPush('Paste track', 'track', { scene: state.currentScene, track: target });
+    else if (state.copyMode === 'scene') undoPush('Paste scene', 'scene', { scene: target });
+    else undoPush(`Paste ${state.copyMode}`, 'track');
 
     if (state.copyMode === 'step') {
         const track = getCurrentTrack();
+        ensurePatternLength(track, target + 1);
         track.pattern[target] = JSON.parse(JSON.stringify(track.pattern[state.copyOrigin]));
+    } else if (state.copyMode === 'page') {
+        // Copy 16 steps from the origin page onto the target page
+        const track = getCurrentTrack();
+        ensurePatternLength(track, (target + 1) * STEPS_PER_PAGE);
+        const from = state.copyOrigin * STEPS_PER_PAGE;
+        const steps = JSON.parse(JSON.stringify(track.pattern.slice(from, from + STEPS_PER_PAGE)));
+        track.pattern.splice(target * STEPS_PER_PAGE, STEPS_PER_PAGE, ...steps);
+        state.stepPage = target;
     } else if (state.copyMode === 'track') {
         const scene = scenes[state.currentScene];
         const buffer = JSON.parse(JSON.stringify(scene.tracks[state.copyOrigin]));
@@ -1776,6 +5244,7 @@ function updateCopyButtons() {
     document.getElementById('btn-copy-step').classList.toggle('copying', state.copyMode === 'step');
     document.getElementById('btn-copy-track').classList.toggle('copying', state.copyMode === 'track');
     document.getElementById('btn-copy-scene').classList.toggle('copying', state.copyMode === 'scene');
+    document.getElementById('btn-copy-page').classList.toggle('copying', state.copyMode === 'page');
 }
 
 // Save / Load
@@ -1786,10 +5255,26 @@ function saveProject() {
             scenes: scenes,
             state: {
                 currentOctave: state.currentOctave,
-                bpm: state.bpm,
+                bpm: songPlayback.savedBpm ?? state.bpm, // the project tempo, not a song entry's
                 currentScene: state.currentScene,
                 currentTrack: state.currentTrack,
+                swing: state.swing,
+                groove: state.groove,
+                songMode: state.songMode,
+                launchQuantize: state.launchQuantize,
+                muteQuantize: state.muteQuantize,
+                recordTake: state.recordTake,
+                inputQuantize: state.inputQuantize,
+                projectKey: state.projectKey,
+                projectScale: state.projectScale,
+                transpose: state.transpose,
+                transposeMode: state.transposeMode,
+                midiRouting: state.midiRouting,
+                midiThru: state.midiThru,
             },
+            song: state.song,
+            grooves: state.customGrooves,
+            midiMap: midiMap.project,
             samples: window.audioEngine ? window.audioEngine.exportSamples() : null
         };
 
@@ -1854,14 +5339,35 @@ function loadProject() {
             const text = await file.text();
             const data = JSON.parse(text);
 
-            // Restore scenes and patterns
+            // Restore scenes and patterns (history belongs to the previous project)
             scenes = data.scenes;
+            undoHistory.undo = [];
+            undoHistory.redo = [];
+            updateUndoButtons();
 
-            // Migrate: ensure all steps have pitchNote (default C5)
+            // Migrate: ensure all steps have pitchNote (default C5), trig fields, locks and ratchets
             scenes.forEach(scene => {
-                scene.tracks.forEach(track => {
+                if (!scene.followAction) scene.followAction = createFollowAction();
+                if (scene.name == null) scene.name = '';
+                if (scene.color === undefined) scene.color = null;
+                scene.tracks.forEach((track, trackIndex) => {
+                    ensurePatternLength(track, Math.max(STEPS_PER_PAGE, track.trackLength));
+                    if (!track.direction) track.direction = 'forward';
+                    if (track.drum == null) track.drum = trackIndex < 8;
+                    if (track.solo == null) track.solo = false;
+                    if (track.muteGroup === undefined) track.muteGroup = null;
+                    if (track.chokeGroup === undefined) track.chokeGroup = null;
+                    if (!track.midiCCs) track.midiCCs = [{ cc: 74, value: 64 }, { cc: 71, value: 64 }];
+                    if (!track.ccLanes) track.ccLanes = [];
                     track.pattern.forEach(step => {
                         if (step.pitchNote == null) step.pitchNote = 60;
+                        if (step.probability == null) step.probability = 100;
+                        if (step.condition === undefined) step.condition = null;
+                        if (!step.locks) step.locks = {};
+                        if (step.ratchet == null) step.ratchet = 1;
+                        if (step.ratchetRamp === undefined) step.ratchetRamp = null;
+                        if (step.microTiming == null) step.microTiming = 0;
+                        if (!Array.isArray(step.chords)) step.chords = [];
                     });
                 });
             });
@@ -1870,10 +5376,36 @@ function loadProject() {
             if (data.state) {
                 state.currentOctave = data.state.currentOctave || 5;
                 state.bpm = data.state.bpm || 120;
-                state.currentScene = data.state.currentScene || 0;
+                state.currentScene = Math.min(data.state.currentScene || 0, scenes.length - 1);
+                showSceneBank(state.currentScene);
                 state.currentTrack = data.state.currentTrack || 0;
+                state.swing = data.state.swing || 50;
+                state.groove = data.state.groove || null;
+                state.songMode = !!data.state.songMode;
+                state.launchQuantize = data.state.launchQuantize || 0;
+                state.muteQuantize = !!data.state.muteQuantize;
+                state.recordTake = data.state.recordTake || 'overdub';
+                state.inputQuantize = Object.assign({ grid: 1, strength: 100, keepTiming: false }, data.state.inputQuantize);
+                state.projectKey = data.state.projectKey || 0;
+                state.projectScale = data.state.projectScale ?? null;
+                state.transpose = data.state.transpose || 0;
+                state.transposeMode = data.state.transposeMode || 'semitone';
+                state.midiRouting = Object.assign(createMidiRouting(), data.state.midiRouting);
+                releaseThruNotes();
+                state.midiThru = Object.assign(createMidiThru(), data.state.midiThru);
+                if (!Object.hasOwn(THRU_VELOCITY_CURVES, state.midiThru.velocityCurve)) state.midiThru.velocityCurve = 'linear';
+                updateThruInput();
+                updateThruControls();
                 document.getElementById('bpm-input').value = state.bpm;
             }
+            state.song = Object.assign({ entries: [], loop: false, loopStart: 0, loopEnd: 0 }, data.song);
+            resetSongPlayback();
+            resetSceneLaunch();
+            renderSongList();
+            state.customGrooves = (data.grooves || []).map(parseGrooveTemplate).filter(Boolean);
+            populateGrooveSelects();
+            midiMap.project = sanitizeMidiMappings(data.midiMap);
+            renderMidiMapList();
 
             // Restore audio samples if present
             if (data.samples && window.audioEngine) {
@@ -1980,17 +5512,21 @@ function buildTrackList() {
         const sampleName = hasSample ? window.audioEngine.getSampleName(trackIndex) : null;
 
         const item = document.createElement('div');
-        item.className = `track-item${trackIndex === state.currentTrack ? ' selected' : ''}${track.muted ? ' muted' : ''}`;
+        const audible = isTrackAudible(scenes[state.currentScene], trackIndex);
+        const groups = [track.muteGroup != null ? `M${track.muteGroup + 1}` : '', track.chokeGroup != null ? `C${track.chokeGroup + 1}` : '']
+            .filter(Boolean).join(' ');
+        item.className = `track-item${trackIndex === state.currentTrack ? ' selected' : ''}${audible ? '' : ' muted'}`;
         item.style.setProperty('--track-color', track.color);
 
         item.innerHTML = `
       <div class="track-color-dot" style="background:${track.color}"></div>
       <div class="track-item-info">
         <div class="track-item-name">Track ${trackIndex + 1}</div>
-        <div class="track-item-detail">${sampleName ? sampleName : `Ch${trackIndex + 1}`} | ${track.tempoModifier}x | ${track.trackLength}st</div>
+        <div class="track-item-detail">${sampleName ? sampleName : `Ch${trackIndex + 1}`} | ${formatTempoModifier(track.tempoModifier)} | ${track.trackLength}st${groups ? ' | ' + groups : ''}</div>
       </div>
       ${hasSample ? '<div class="track-sample-dot" title="Sample loaded"></div>' : ''}
-      <button class="track-mute-btn${track.muted ? ' muted' : ''}" data-track="${trackIndex}" title="Mute/Unmute">
+      <button class="track-solo-btn${track.solo ? ' soloed' : ''}" data-track="${trackIndex}" title="Solo (in place)">S</button>
+      <button class="track-mute-btn${track.muted ? ' muted' : ''}${hasPendingMute(state.currentScene, trackIndex) ? ' pending' : ''}" data-track="${trackIndex}" data-learn="mute:${trackIndex}" title="Mute/Unmute (right-click: MIDI learn)">
         ${track.muted ? '🔇' : '🔊'}
       </button>
     `;
@@ -2012,6 +5548,7 @@ function buildTrackList() {
                 const entry = window._draggedFileEntry;
                 if (entry && entry.handle) {
                     await window.audioEngine.init();
+                    undoPush('Load sample', 'sample', { track: trackIndex });
                     await window.audioEngine.loadSampleFromHandle(entry.handle, trackIndex);
                     updateSampleSlotUI();
                     renderTrackList();
@@ -2021,6 +5558,7 @@ function buildTrackList() {
                 // Handle file dropped from OS
                 const file = e.dataTransfer.files[0];
                 await window.audioEngine.init();
+                undoPush('Load sample', 'sample', { track: trackIndex });
                 await window.audioEngine.loadSampleFromFile(file, trackIndex);
                 updateSampleSlotUI();
                 renderTrackList();
@@ -2029,12 +5567,13 @@ function buildTrackList() {
         });
 
         item.addEventListener('click', (e) => {
-            if (e.target.closest('.track-mute-btn')) return;
+            if (e.target.closest('.track-mute-btn') || e.target.closest('.track-solo-btn')) return;
             changeTrack(trackIndex);
         });
 
         const muteBtn = item.querySelector('.track-mute-btn');
         muteBtn.addEventListener('click', () => toggleMute(trackIndex));
+        item.querySelector('.track-solo-btn').addEventListener('click', () => toggleSolo(trackIndex));
 
         container.appendChild(item);
     }
@@ -2068,8 +5607,9 @@ function handlePadPress(row, col, event) {
         return;
     }
     if (row === 0 && col === 7) {
-        // Tempo modifier button
-        changeTempo();
+        // Tempo modifier button (right-click: playback direction)
+        if (event.button === 2) changeDirection();
+        else changeTempo();
         return;
     }
     if (row === 7 && col === 7) {
@@ -2079,10 +5619,7 @@ function handlePadPress(row, col, event) {
     if (row === 7 && col === 0) {
         // LS / REC button — toggle record mode on click
         // Hold tracking is done via mousedown/mouseup on the pad element
-        state.recordMode = !state.recordMode;
-        state.recHeld = false;
-        console.log(`🔴 Record mode: ${state.recordMode ? 'ON' : 'OFF'}`);
-        renderGrid();
+        toggleRecordMode();
         return;
     }
 
@@ -2094,33 +5631,42 @@ function handlePadPress(row, col, event) {
 
     // Scene buttons are always active, regardless of mode or workspace
     if (sceneIndex !== -1) {
+        // Launchpad Shift + top scene pads = previous / next scene bank
+        if (lpState.shiftHeld) {
+            if (sceneIndex < 2) setSceneBank(state.sceneBank + (sceneIndex === 0 ? -1 : 1));
+            return;
+        }
+        const target = getScenePadScene(sceneIndex);
+        if (target === -1) return;
         if (state.copyMode === 'scene') {
-            executeCopy(sceneIndex);
+            executeCopy(target);
         } else {
-            changeScene(sceneIndex);
+            launchScene(target);
         }
         return;
     }
 
-    if (state.mode === 'seq') {
+    if (state.mode === 'seq' || state.mode === 'chords') {
         if (bigGridIndex !== -1) {
+            const stepIndex = padToStep(bigGridIndex);
             if (state.copyMode === 'step') {
-                executeCopy(bigGridIndex);
+                executeCopy(stepIndex);
             } else if (event.button === 2) {
                 // Right-click: select step for editing without toggling
-                state.lastPressedStep = bigGridIndex;
+                if (stepIndex >= getCurrentTrack().pattern.length) return;
+                state.lastPressedStep = stepIndex;
                 renderGrid();
                 updateStepInfo();
             } else {
-                toggleStep(bigGridIndex);
+                toggleStep(stepIndex);
             }
+        } else if (state.mode === 'chords') {
+            handleChordPadPress(innerGridIndex, smallGridIndex);
         } else if (innerGridIndex !== -1 && state.workspace > 0) {
             toggleNote(innerGridIndex);
         } else if (smallGridIndex !== -1 && state.workspace > 1) {
             handleSmallGridPress(smallGridIndex);
         }
-    } else if (state.mode === 'chords') {
-        // Chord mode — simplified for web version
     } else if (state.mode === 'harmony') {
         handleHarmonyPadPress(row, col, bigGridIndex, innerGridIndex, smallGridIndex);
     } else if (state.mode === 'sample') {
@@ -2148,6 +5694,7 @@ function renderGrid() {
             pad.style.borderColor = '';
             pad.style.boxShadow = '';
             pad.style.opacity = '';
+            pad.style.fontSize = '';
             pad.textContent = '';
 
             // Chord field mode: full grid, skip corner/scene rendering
@@ -2173,8 +5720,9 @@ function renderGrid() {
                 continue;
             }
             if (row === 0 && col === 7) {
-                // Tempo modifier button (top-right)
-                pad.textContent = track.tempoModifier + 'x';
+                // Tempo modifier button (top-right), with the direction when not forward
+                const dir = track.direction && track.direction !== 'forward' ? DIRECTION_LABELS[track.direction] : '';
+                pad.textContent = formatTempoModifier(track.tempoModifier) + dir;
                 pad.style.fontSize = '10px';
                 pad.style.background = 'rgba(180, 130, 20, 0.5)';
                 pad.style.borderColor = 'rgba(200, 160, 40, 0.5)';
@@ -2219,22 +5767,28 @@ function renderGrid() {
             const sceneIdx = SCENE_POSITIONS.findIndex(([r, c]) => r === row && c === col);
 
             if (sceneIdx !== -1) {
-                // Scene button — always visible
-                pad.textContent = sceneIdx + 1;
-                if (sceneIdx === state.currentScene) {
+                // Scene button — always visible, showing the selected bank
+                const sceneIndex = getScenePadScene(sceneIdx);
+                const sceneColor = sceneIndex === -1 ? null : SCENE_COLORS[scenes[sceneIndex].color];
+                pad.textContent = sceneIndex === -1 ? '' : sceneIndex + 1;
+                if (sceneIndex !== -1 && sceneIndex === state.queuedScene) pad.classList.add('scene-queued');
+                if (sceneIndex === -1) {
+                    pad.classList.add('inactive');
+                    pad.style.background = 'rgba(15, 15, 25, 0.6)';
+                } else if (sceneIndex === state.currentScene) {
                     pad.classList.add('active-step');
                     pad.style.background = 'var(--accent)';
                     pad.style.borderColor = 'var(--accent)';
                     pad.style.boxShadow = '0 0 16px rgba(0, 232, 160, 0.4)';
                     pad.style.color = 'var(--bg-primary)';
                 } else {
-                    pad.style.background = 'rgba(60, 65, 80, 0.6)';
-                    pad.style.borderColor = 'rgba(120, 130, 150, 0.3)';
+                    pad.style.background = sceneColor ? sceneColor.hex + '40' : 'rgba(60, 65, 80, 0.6)';
+                    pad.style.borderColor = sceneColor ? sceneColor.hex : 'rgba(120, 130, 150, 0.3)';
                     pad.style.color = 'var(--text-secondary)';
                 }
             } else if (state.mode === 'seq') {
                 if (bigIdx !== -1) {
-                    renderBigGridPad(pad, bigIdx, track);
+                    renderBigGridPad(pad, getViewPage(track) * STEPS_PER_PAGE + bigIdx, track);
                 } else if (innerIdx !== -1 && state.workspace > 0) {
                     renderInnerGridPad(pad, innerIdx, track);
                 } else if (smallIdx !== -1 && state.workspace > 1) {
@@ -2244,7 +5798,7 @@ function renderGrid() {
                     pad.style.background = 'rgba(15, 15, 25, 0.6)';
                 }
             } else if (state.mode === 'chords') {
-                renderChordPad(pad, row, col);
+                renderChordPad(pad, bigIdx, innerIdx, smallIdx, track);
             } else if (state.mode === 'harmony') {
                 renderHarmonyPad(pad, row, col, bigIdx, innerIdx, smallIdx);
             } else if (state.mode === 'sample') {
@@ -2255,10 +5809,15 @@ function renderGrid() {
         }
     }
 
+    // Page indicator follows the playhead
+    updateStepPageButtons();
+    updateRecordControls();
+
     // Sync LEDs to physical Launchpad controller
     updateLaunchpadLEDs();
 }
 
+// stepIndex is page-absolute (view page * 16 + ring position)
 function renderBigGridPad(pad, stepIndex, track) {
     const step = track.pattern[stepIndex];
 
@@ -2270,7 +5829,7 @@ function renderBigGridPad(pad, stepIndex, track) {
 
     // Check if this is the cursor position
     if (state.playing && state.showCursor) {
-        const currentTrackStep = Math.floor(state.currentStep * track.tempoModifier) % track.trackLength;
+        const currentTrackStep = getTrackPlayStep(track);
         if (stepIndex === currentTrackStep) {
             pad.classList.add('cursor');
             pad.textContent = stepIndex + 1;
@@ -2294,6 +5853,15 @@ function renderBigGridPad(pad, stepIndex, track) {
         pad.style.borderColor = `${track.color}15`;
     }
 
+    if (step.active && step.locks && Object.keys(step.locks).length > 0) {
+        pad.classList.add('locked');
+    }
+
+    // Mark steps that won't necessarily play every pass
+    if (step.active && (step.condition || (step.probability ?? 100) < 100)) {
+        pad.classList.add('conditional');
+    }
+
     // Highlight the last pressed step with a selection ring
     if (stepIndex === state.lastPressedStep) {
         pad.style.boxShadow = `0 0 16px ${track.color}50, inset 0 0 0 2px ${track.color}aa`;
@@ -2303,8 +5871,8 @@ function renderBigGridPad(pad, stepIndex, track) {
     pad.textContent = stepIndex + 1;
 }
 
-function renderInnerGridPad(pad, noteOffset, track) {
-    const noteIndex = (state.currentOctave * 12) + noteOffset;
+function renderInnerGridPad(pad, padIndex, track) {
+    const noteIndex = getInnerPadNote(padIndex);
     const step = track.pattern[state.lastPressedStep];
 
     // Single pitch — red for active, dim for inactive
@@ -2316,10 +5884,9 @@ function renderInnerGridPad(pad, noteOffset, track) {
         pad.style.background = '';
     }
 
-    // Show note name
-    if (noteOffset < 12) {
-        pad.textContent = NOTE_NAMES[noteOffset];
-    }
+    // Show note name (scale roots are outlined when the pads follow the project scale)
+    if (noteIndex < 96) pad.textContent = NOTE_NAMES[noteIndex % 12];
+    if (isScaleRootPad(padIndex)) pad.classList.add('scale-root');
 }
 
 function renderSmallGridPad(pad, gridIndex, track) {
@@ -2344,16 +5911,86 @@ function renderSmallGridPad(pad, gridIndex, track) {
         } else {
             pad.classList.add('ctrl-off');
         }
-    }
-}
+    } else if (state.smallGridMode === 'probability') {
+        if (gridIndex < step.probability / 12.5) {
+            pad.classList.add('prob-on');
+        } else {
+            pad.classList.add('ctrl-off');
+        }
+    } else if (state.smallGridMode === 'condition') {
+        const selected = gridIndex === getConditionPadIndex(step.condition);
+        pad.classList.add(selected ? 'cond-on' : 'ctrl-off');
+        const padCond = TRIG_CONDITION_PADS[gridIndex];
+        if (selected && step.condition) {
+            pad.textContent = getConditionLabel(step.condition);
+        } else if (padCond && padCond.startsWith('ratio:')) {
+            pad.textContent = `x:${padCond.slice(6)}`;
+        } else {
+            pad.textContent = padCond ? getConditionLabel(padCond) : '—';
+        }
+        pad.style.fontSize = '9px';
+    } else if (state.smallGridMode === 'ratchet') {
+        const count = step.ratchet || 1;
+        pad.classList.add(gridIndex < count ? 'ratchet-on' : 'ctrl-off');
+        if (gridIndex === count - 1 && step.ratchetRamp) {
+            pad.textContent = step.ratchetRamp === 'up' ? '↗' : '↘';
+        }
+    } else if (state.smallGridMode === 'micro') {
+        pad.classList.add(isMicroPadLit(gridIndex, step.microTiming || 0) ? 'micro-on' : 'ctrl-off');
+        const ticks = MICRO_TIMING_PADS[gridIndex];
+        pad.textContent = ticks > 0 ? `+${ticks}` : `${ticks}`;
+        pad.style.fontSize = '9px';
+    } else if (state.smallGridMode === 'cc') {
+        const lane = getSelectedCCLane(track);
+        const level = lane ? getCCLanePadLevel(lane) : -1;
+        pad.classList.add(gridIndex <= level ? 'cc-on' : 'ctrl-off');
+        if (lane && gridIndex === level) pad.textContent = lane.values[state.lastPressedStep % CC_LANE_STEPS];
+        pad.style.fontSize = '9px';
+    }
+}
+
+function renderChordPad(pad, bigIdx, innerIdx, smallIdx, track) {
+    const step = track.pattern[state.lastPressedStep];
+    const chord = step.chords[0];
 
-function renderChordPad(pad, row, col) {
-    // Simplified chord view
-    if (row < 7 && col < 7) {
-        const chordColors = ['#00e060', '#ff6040', '#00e060', '#ff6040', '#ffc800', '#00e060', '#ffc800'];
-        pad.style.background = chordColors[col] + '40';
-        pad.style.border = `1px solid ${chordColors[col]}30`;
+    if (bigIdx !== -1) {
+        const stepIndex = getViewPage(track) * STEPS_PER_PAGE + bigIdx;
+        renderBigGridPad(pad, stepIndex, track);
+        // Chord steps take their degree's function colour and show the chord symbol
+        const padStep = track.pattern[stepIndex];
+        if (padStep.active && hasStepChord(padStep) && stepIndex < track.trackLength &&
+            !pad.classList.contains('cursor')) {
+            const color = CHORD_DEGREE_COLORS[padStep.chords[0].degree];
+            pad.style.background = color + '90';
+            pad.style.borderColor = color;
+            pad.textContent = getChordLabel(padStep);
+            pad.style.fontSize = '10px';
+        }
+    } else if (innerIdx !== -1 && innerIdx < 7) {
+        const color = CHORD_DEGREE_COLORS[innerIdx];
+        const selected = chord && chord.degree === innerIdx;
+        pad.style.background = color + (selected ? 'd0' : '40');
+        pad.style.borderColor = color + (selected ? 'ff' : '30');
+        pad.textContent = getChordDegreeLabel(innerIdx, step.chordScale);
+        pad.style.fontSize = '10px';
+    } else if (innerIdx !== -1) {
+        const labels = {
+            7: chord ? `${chord.size}♪` : 'SIZE',
+            8: chord ? `INV${chord.inversion || 0}` : 'INV',
+            9: 'OCT-',
+            10: 'OCT+',
+            11: (SCALES[step.chordScale] || SCALES[0]).name
+        };
+        pad.classList.add(chord || innerIdx === 11 ? 'note-inactive' : 'ctrl-off');
+        pad.textContent = labels[innerIdx];
+        pad.style.fontSize = '8px';
+    } else if (smallIdx !== -1 && smallIdx < CHORD_PLAY_MODES.length) {
+        const mode = CHORD_PLAY_MODES[smallIdx];
+        pad.classList.add(getChordPlayMode(step) === mode ? 'note-active' : 'note-inactive');
+        pad.textContent = CHORD_PLAY_SHORT[mode];
+        pad.style.fontSize = '9px';
     } else {
+        pad.classList.add('inactive');
         pad.style.background = 'rgba(15, 15, 25, 0.6)';
     }
 }
@@ -2373,7 +6010,9 @@ function renderSideButtons() {
 
         btn.className = 'side-btn';
         if (trackIndex === state.currentTrack) btn.classList.add('selected');
-        if (track.muted) btn.classList.add('muted');
+        if (!isTrackAudible(scenes[state.currentScene], trackIndex)) btn.classList.add('muted');
+        if (track.solo) btn.classList.add('soloed');
+        if (hasPendingMute(state.currentScene, trackIndex)) btn.classList.add('pending-mute');
         if (hasSample) btn.classList.add('has-sample');
 
         btn.style.setProperty('--track-color', track.color);
@@ -2384,10 +6023,23 @@ function renderSideButtons() {
 }
 
 function renderSceneButtons() {
-    document.querySelectorAll('.scene-btn').forEach((btn) => {
-        const sceneIdx = parseInt(btn.dataset.scene);
+    state.sceneBank = Math.min(state.sceneBank, getSceneBankCount() - 1);
+    document.querySelectorAll('.scene-btn').forEach((btn, padIndex) => {
+        const sceneIdx = getScenePadScene(padIndex);
+        const color = sceneIdx === -1 ? null : SCENE_COLORS[scenes[sceneIdx].color];
+        btn.dataset.scene = sceneIdx;
+        btn.disabled = sceneIdx === -1;
+        btn.textContent = sceneIdx === -1 ? '' : sceneIdx + 1;
+        btn.title = sceneIdx === -1 ? '' : getSceneName(sceneIdx);
+        btn.style.borderBottomColor = color ? color.hex : '';
         btn.classList.toggle('active', sceneIdx === state.currentScene);
+        btn.classList.toggle('queued', sceneIdx !== -1 && sceneIdx === state.queuedScene);
     });
+    document.getElementById('scene-bank-label').textContent = `${state.sceneBank + 1}/${getSceneBankCount()}`;
+    document.getElementById('btn-scene-bank-prev').disabled = state.sceneBank === 0;
+    document.getElementById('btn-scene-bank-next').disabled = state.sceneBank >= getSceneBankCount() - 1;
+    renderSceneList();
+    updateSceneLaunchControls();
 }
 
 function updateStepInfo() {
@@ -2406,27 +6058,45 @@ function updateStepInfo() {
     document.getElementById('info-note').textContent = noteName;
     document.getElementById('info-velocity').textContent = step.velocity;
     document.getElementById('info-length').textContent = step.length;
+    document.getElementById('info-trig').textContent = `${step.probability ?? 100}%${step.condition ? ' ' + getConditionLabel(step.condition) : ''}`;
+    document.getElementById('info-ratchet').textContent = getRatchetLabel(step);
+    document.getElementById('info-chord').textContent = hasStepChord(step)
+        ? `${getChordLabel(step)} ${CHORD_PLAY_LABELS[getChordPlayMode(step)]}` : '-';
     document.getElementById('info-octave').textContent = state.currentOctave;
-    document.getElementById('info-tempo-mod').textContent = track.tempoModifier + 'x';
-    document.getElementById('info-ctrl-mode').textContent = state.smallGridMode.charAt(0).toUpperCase() + state.smallGridMode.slice(1);
+    document.getElementById('info-tempo-mod').textContent = `${formatTempoModifier(track.tempoModifier)} ${DIRECTION_LABELS[track.direction] || DIRECTION_LABELS.forward}`;
+    document.getElementById('info-ctrl-mode').textContent = state.smallGridMode === 'cc' ? 'CC Lane'
+        : state.smallGridMode.charAt(0).toUpperCase() + state.smallGridMode.slice(1);
 
     // Update tempo modifier buttons
     document.querySelectorAll('.tempo-mod-btn').forEach(btn => {
-        btn.classList.toggle('active', parseFloat(btn.dataset.tempo) === track.tempoModifier);
+        btn.classList.toggle('active', Math.abs(parseTempoRatio(btn.dataset.tempo) - track.tempoModifier) < 1e-9);
     });
+    const isPreset = TEMPO_MODIFIERS.some(t => Math.abs(t - track.tempoModifier) < 1e-9);
+    document.getElementById('tempo-custom').value = isPreset ? '' : formatTempoModifier(track.tempoModifier).replace('x', '');
+    updateDirectionButtons();
 
     // Update track length slider
     document.getElementById('track-length-slider').value = track.trackLength;
     document.getElementById('track-length-value').textContent = track.trackLength;
+    updateStepPageButtons();
+
+    updateGrooveControls();
+    updateLockControls();
+    updateChordControls();
+    updateMixControls();
+    updateKeyControls();
+    updateCCLaneControls();
 }
 
 function renderAll() {
+    clampSelectedStep();
     renderGrid();
     renderSideButtons();
     renderSceneButtons();
     renderTrackList();
     updateStepInfo();
     updateSampleSlotUI();
+    renderRoutingMatrix();
 }
 
 // ──────────────────────────────────────────────
@@ -2459,11 +6129,12 @@ function updateSampleSlotUI() {
         const dur = window.audioEngine.getSampleDuration(trackIndex);
         durationEl.textContent = `${dur.toFixed(2)}s`;
 
-        const sample = window.audioEngine.trackSamples[trackIndex];
-        gainSlider.value = Math.round(sample.gain * 100);
-        pitchSlider.value = Math.round(sample.pitch * 100);
-        gainValue.textContent = `${Math.round(sample.gain * 100)}%`;
-        pitchValue.textContent = `${sample.pitch.toFixed(2)}x`;
+        // Show the held/selected step's locked values while locking
+        const params = window.audioEngine.resolveParams(trackIndex, getTargetLocks());
+        gainSlider.value = Math.round(params.gain * 100);
+        pitchSlider.value = Math.round(params.pitch * 100);
+        gainValue.textContent = `${Math.round(params.gain * 100)}%`;
+        pitchValue.textContent = `${params.pitch.toFixed(2)}x`;
 
         window.audioEngine.drawWaveform(canvas, trackIndex);
     }
@@ -2626,6 +6297,7 @@ function createFileItemElement(entry) {
     item.querySelector('.assign').addEventListener('click', async (e) => {
         e.stopPropagation();
         await window.audioEngine.init();
+        undoPush('Load sample', 'sample');
         await window.audioEngine.loadSampleFromHandle(entry.handle, state.currentTrack);
         updateSampleSlotUI();
         renderTrackList();
@@ -2635,6 +6307,7 @@ function createFileItemElement(entry) {
     // Double-click to assign
     item.addEventListener('dblclick', async () => {
         await window.audioEngine.init();
+        undoPush('Load sample', 'sample');
         await window.audioEngine.loadSampleFromHandle(entry.handle, state.currentTrack);
         updateSampleSlotUI();
         renderTrackList();
@@ -2742,12 +6415,23 @@ function toggleSampleBrowser() {
 // HARMONY MODE
 // ──────────────────────────────────────────────
 
+// Shared by Harmony and Chord Field (0-1, applied to instances created later too)
+let rhodesVolume = 1;
+
+function setRhodesVolume(vol) {
+    rhodesVolume = Math.max(0, Math.min(1, vol));
+    harmonyState.rhodes?.setVolume(rhodesVolume);
+    chordFieldState.rhodes?.setVolume(rhodesVolume);
+    document.getElementById('rhodes-volume').value = Math.round(rhodesVolume * 100);
+}
+
 function initRhodes() {
     if (harmonyState.rhodes) return;
     // Ensure audio context exists
     if (window.audioEngine && window.audioEngine.audioContext) {
         harmonyState.rhodes = new RhodesSynth(window.audioEngine.audioContext);
         harmonyState.rhodes.init();
+        harmonyState.rhodes.setVolume(rhodesVolume);
         console.log('[Harmony] Rhodes synth initialized');
     } else {
         // Defer until audio engine is ready
@@ -2762,6 +6446,7 @@ function ensureRhodes() {
         }
         harmonyState.rhodes = new RhodesSynth(window.audioEngine.audioContext);
         harmonyState.rhodes.init();
+        harmonyState.rhodes.setVolume(rhodesVolume);
     }
 }
 
@@ -2900,6 +6585,7 @@ function handleHarmonyPadPress(row, col, bigIdx, innerIdx, smallIdx) {
 
         // If tapping the already-selected active step → clear it
         if (bigIdx === harmonyState.selectedStep && step.active) {
+            undoPush(`Harmony step ${bigIdx + 1}`, 'harmony');
             step.active = false;
             step.function = 'tonic';
             step.degree = 1;
@@ -2922,6 +6608,7 @@ function handleHarmonyPadPress(row, col, bigIdx, innerIdx, smallIdx) {
 
         if (!step.active) {
             // Activate the step with defaults
+            undoPush(`Harmony step ${bigIdx + 1}`, 'harmony');
             step.active = true;
             step.function = 'tonic';
             step.degree = 1;
@@ -2951,6 +6638,7 @@ function handleHarmonyInnerPress(innerIdx) {
     const he = window.harmonyEngine;
     const step = harmonyState.pattern[harmonyState.selectedStep];
     if (!step.active) return;
+    undoPush(`Harmony chord step ${harmonyState.selectedStep + 1}`, 'harmony');
 
     if (harmonyState.selectionPhase === 'function') {
         if (innerIdx < 4) {
@@ -3002,39 +6690,42 @@ function handleHarmonyInnerPress(innerIdx) {
 }
 
 function handleHarmonySmallPress(smallIdx) {
-    const he = window.harmonyEngine;
     const step = harmonyState.pattern[harmonyState.selectedStep];
+    const maxInv = step.extension === 'triad' ? 2 : 3;
+    let edit = null; // [object, field, new value]
 
     switch (smallIdx) {
         case 0: // Key down
-            harmonyState.key = (harmonyState.key + 11) % 12;
+            edit = [harmonyState, 'key', (harmonyState.key + 11) % 12];
             break;
         case 1: // Key up
-            harmonyState.key = (harmonyState.key + 1) % 12;
+            edit = [harmonyState, 'key', (harmonyState.key + 1) % 12];
             break;
         case 2: // Voices down
-            if (step.active) step.voiceCount = Math.max(3, step.voiceCount - 1);
+            if (step.active) edit = [step, 'voiceCount', Math.max(3, step.voiceCount - 1)];
             break;
         case 3: // Voices up
-            if (step.active) step.voiceCount = Math.min(6, step.voiceCount + 1);
+            if (step.active) edit = [step, 'voiceCount', Math.min(6, step.voiceCount + 1)];
             break;
         case 4: // Length down
-            if (step.active) step.length = Math.max(1, step.length - 1);
+            if (step.active) edit = [step, 'length', Math.max(1, step.length - 1)];
             break;
         case 5: // Length up
-            if (step.active) step.length = Math.min(16, step.length + 1);
+            if (step.active) edit = [step, 'length', Math.min(16, step.length + 1)];
             break;
         case 6: // Inversion down
-            if (step.active) step.inversion = Math.max(0, step.inversion - 1);
+            if (step.active) edit = [step, 'inversion', Math.max(0, step.inversion - 1)];
             break;
         case 7: // Inversion up
-            if (step.active) {
-                const maxInv = step.extension === 'triad' ? 2 : 3;
-                step.inversion = Math.min(maxInv, step.inversion + 1);
-            }
+            if (step.active) edit = [step, 'inversion', Math.min(maxInv, step.inversion + 1)];
             break;
     }
 
+    // Nothing to change: inactive step, or already at the limit
+    if (!edit || edit[0][edit[1]] === edit[2]) return;
+    undoPush('Harmony edit', 'harmony');
+    edit[0][edit[1]] = edit[2];
+
     recomputeHarmony();
     renderGrid();
     updateHarmonyUI();
@@ -3091,19 +6782,21 @@ function triggerHarmonyChords() {
     if (!harmonyState.rhodes) return;
 
     const playStep = state.currentStep % 16;
+    const when = toAudioTime(scheduler.tickTime);
+    const midiTs = toMidiTimestamp(scheduler.tickTime);
 
     // Check if a chord starts at this step
     const step = harmonyState.pattern[playStep];
     if (step && step.active && step.voicedNotes.length > 0) {
         // Release any active chord
         if (harmonyState.activeChordNotes.length > 0) {
-            harmonyState.rhodes.releaseChord(harmonyState.activeChordNotes);
-            harmonyMidiReleaseChord(harmonyState.activeChordNotes);
+            harmonyState.rhodes.releaseChord(harmonyState.activeChordNotes, when);
+            harmonyMidiReleaseChord(harmonyState.activeChordNotes, midiTs);
         }
 
         // Play the new chord
-        harmonyState.rhodes.playChord(step.voicedNotes, step.velocity);
-        harmonyMidiChord(step.voicedNotes, step.velocity);
+        harmonyState.rhodes.playChord(step.voicedNotes, step.velocity, null, when);
+        harmonyMidiChord(step.voicedNotes, step.velocity, midiTs);
         harmonyState.activeChordNotes = [...step.voicedNotes];
         harmonyState.activeChordStep = playStep;
     }
@@ -3117,8 +6810,8 @@ function triggerHarmonyChords() {
                 // Check if there's no new chord at this step
                 const currentStep = harmonyState.pattern[playStep];
                 if (!currentStep || !currentStep.active) {
-                    harmonyState.rhodes.releaseChord(harmonyState.activeChordNotes);
-                    harmonyMidiReleaseChord(harmonyState.activeChordNotes);
+                    harmonyState.rhodes.releaseChord(harmonyState.activeChordNotes, when);
+                    harmonyMidiReleaseChord(harmonyState.activeChordNotes, midiTs);
                     harmonyState.activeChordNotes = [];
                     harmonyState.activeChordStep = -1;
                 }
@@ -3190,12 +6883,14 @@ function setupHarmonyListeners() {
     const keyDown = document.getElementById('harmony-key-down');
     const keyUp = document.getElementById('harmony-key-up');
     if (keyDown) keyDown.addEventListener('click', () => {
+        undoPush('Harmony key', 'harmony');
         harmonyState.key = (harmonyState.key + 11) % 12;
         recomputeHarmony();
         renderGrid();
         updateHarmonyUI();
     });
     if (keyUp) keyUp.addEventListener('click', () => {
+        undoPush('Harmony key', 'harmony');
         harmonyState.key = (harmonyState.key + 1) % 12;
         recomputeHarmony();
         renderGrid();
@@ -3205,6 +6900,7 @@ function setupHarmonyListeners() {
     // Scale toggle
     const scaleToggle = document.getElementById('harmony-scale-toggle');
     if (scaleToggle) scaleToggle.addEventListener('click', () => {
+        undoPush('Harmony scale', 'harmony');
         const scales = ['major', 'natural_minor', 'harmonic_minor', 'melodic_minor'];
         const idx = scales.indexOf(harmonyState.scale);
         harmonyState.scale = scales[(idx + 1) % scales.length];
@@ -3219,6 +6915,7 @@ function setupHarmonyListeners() {
     if (voicesDown) voicesDown.addEventListener('click', () => {
         const step = harmonyState.pattern[harmonyState.selectedStep];
         if (step.active) {
+            undoPush('Harmony edit', 'harmony');
             step.voiceCount = Math.max(3, step.voiceCount - 1);
             recomputeHarmony();
             renderGrid();
@@ -3228,6 +6925,7 @@ function setupHarmonyListeners() {
     if (voicesUp) voicesUp.addEventListener('click', () => {
         const step = harmonyState.pattern[harmonyState.selectedStep];
         if (step.active) {
+            undoPush('Harmony edit', 'harmony');
             step.voiceCount = Math.min(6, step.voiceCount + 1);
             recomputeHarmony();
             renderGrid();
@@ -3241,6 +6939,7 @@ function setupHarmonyListeners() {
     if (lengthDown) lengthDown.addEventListener('click', () => {
         const step = harmonyState.pattern[harmonyState.selectedStep];
         if (step.active) {
+            undoPush('Harmony edit', 'harmony');
             step.length = Math.max(1, step.length - 1);
             recomputeHarmony();
             renderGrid();
@@ -3250,6 +6949,7 @@ function setupHarmonyListeners() {
     if (lengthUp) lengthUp.addEventListener('click', () => {
         const step = harmonyState.pattern[harmonyState.selectedStep];
         if (step.active) {
+            undoPush('Harmony edit', 'harmony');
             step.length = Math.min(16, step.length + 1);
             recomputeHarmony();
             renderGrid();
@@ -3280,6 +6980,7 @@ function setupHarmonyListeners() {
         harmonyMidiAllNotesOff();
         harmonyState.midiOutChannel = parseInt(e.target.value, 10);
         console.log(`[Harmony] MIDI Out channel set to ${harmonyState.midiOutChannel + 1}`);
+        renderRoutingMatrix();
     });
 }
 
@@ -3387,6 +7088,8 @@ const CF_GLOW_BORDER = [
 // LP MK2 colors: glow-driven (dark to bright)
 const CF_LP_GLOW_COLORS = [43, 45, 9, 3]; // dark teal, mid teal, amber, white
 const CF_LP_BASE_COLOR = 45;  // neutral teal for pre-glow state
+// RGB devices get the on-screen glow tints instead of the nearest palette entries (0-127 per channel)
+const CF_LP_GLOW_RGB = [[10, 14, 18], [24, 40, 60], [90, 78, 22], [127, 127, 127]];
 
 // ── Ring Chord Field Colors ──
 
@@ -4008,6 +7711,7 @@ function initChordFieldRhodes() {
         if (!chordFieldState.rhodes) {
             chordFieldState.rhodes = new RhodesSynth(window.audioEngine.audioContext);
             chordFieldState.rhodes.init();
+            chordFieldState.rhodes.setVolume(rhodesVolume);
             console.log('[ChordField] Rhodes synth initialized');
         }
         if (!chordFieldState.sine) {
@@ -4021,6 +7725,7 @@ function initChordFieldRhodes() {
             if (!chordFieldState.rhodes) {
                 chordFieldState.rhodes = new RhodesSynth(window.audioEngine.audioContext);
                 chordFieldState.rhodes.init();
+                chordFieldState.rhodes.setVolume(rhodesVolume);
                 console.log('[ChordField] Rhodes synth initialized (after audio init)');
             }
             if (!chordFieldState.sine) {
@@ -5728,8 +9433,8 @@ function getChordFieldLPColor(digitalRow, digitalCol) {
     if (!cf.glowGrid) return CF_LP_BASE_COLOR;
 
     // With glow grid, use tiered brightness
-    const glow = cf.glowGrid[digitalRow * 8 + digitalCol] || 0;
-    return CF_LP_GLOW_COLORS[Math.min(glow, 3)];
+    const glow = Math.min(cf.glowGrid[digitalRow * 8 + digitalCol] || 0, 3);
+    return lpProfile?.rgb ? { rgb: CF_LP_GLOW_RGB[glow] } : CF_LP_GLOW_COLORS[glow];
 }
 
 /**
@@ -5812,6 +9517,28 @@ function getChordFieldSideLPColor(index) {
     return index === chordFieldState.voicingIndex ? LP_COLOR.WHITE : LP_COLOR.WHITE_DIM;
 }
 
+function setChordFieldKey(key) {
+    chordFieldState.key = key;
+    chordFieldState.originalKey = chordFieldState.key;
+    chordFieldState.prevVoicing = null;
+    chordFieldState.glowGrid = null;
+    chordFieldState.chordHistory = [];
+    chordFieldState.modulationLog = [];
+    cfStopPlayback(chordFieldState);
+    updateChordFieldUI();
+    renderGrid();
+}
+
+// 0 = brightest (Lydian) .. 6 = darkest (Locrian)
+function setChordFieldMode(modeIndex) {
+    chordFieldState.modeIndex = Math.max(0, Math.min(6, modeIndex));
+    chordFieldState.prevVoicing = null;
+    chordFieldState.glowGrid = null;
+    cfStopPlayback(chordFieldState);
+    updateChordFieldUI();
+    renderGrid();
+}
+
 function setupChordFieldListeners() {
     // Key controls
     const cfKeyDown = document.getElementById('cf-key-down');
@@ -5819,44 +9546,10 @@ function setupChordFieldListeners() {
     const cfModeDown = document.getElementById('cf-mode-down');
     const cfModeUp = document.getElementById('cf-mode-up');
 
-    if (cfKeyDown) cfKeyDown.addEventListener('click', () => {
-        chordFieldState.key = (chordFieldState.key + 11) % 12;
-        chordFieldState.originalKey = chordFieldState.key;
-        chordFieldState.prevVoicing = null;
-        chordFieldState.glowGrid = null;
-        chordFieldState.chordHistory = [];
-        chordFieldState.modulationLog = [];
-        cfStopPlayback(chordFieldState);
-        updateChordFieldUI();
-        renderGrid();
-    });
-    if (cfKeyUp) cfKeyUp.addEventListener('click', () => {
-        chordFieldState.key = (chordFieldState.key + 1) % 12;
-        chordFieldState.originalKey = chordFieldState.key;
-        chordFieldState.prevVoicing = null;
-        chordFieldState.glowGrid = null;
-        chordFieldState.chordHistory = [];
-        chordFieldState.modulationLog = [];
-        cfStopPlayback(chordFieldState);
-        updateChordFieldUI();
-        renderGrid();
-    });
-    if (cfModeDown) cfModeDown.addEventListener('click', () => {
-        chordFieldState.modeIndex = Math.min(6, chordFieldState.modeIndex + 1);
-        chordFieldState.prevVoicing = null;
-        chordFieldState.glowGrid = null;
-        cfStopPlayback(chordFieldState);
-        updateChordFieldUI();
-        renderGrid();
-    });
-    if (cfModeUp) cfModeUp.addEventListener('click', () => {
-        chordFieldState.modeIndex = Math.max(0, chordFieldState.modeIndex - 1);
-        chordFieldState.prevVoicing = null;
-        chordFieldState.glowGrid = null;
-        cfStopPlayback(chordFieldState);
-        updateChordFieldUI();
-        renderGrid();
-    });
+    if (cfKeyDown) cfKeyDown.addEventListener('click', () => setChordFieldKey((chordFieldState.key + 11) % 12));
+    if (cfKeyUp) cfKeyUp.addEventListener('click', () => setChordFieldKey((chordFieldState.key + 1) % 12));
+    if (cfModeDown) cfModeDown.addEventListener('click', () => setChordFieldMode(chordFieldState.modeIndex + 1));
+    if (cfModeUp) cfModeUp.addEventListener('click', () => setChordFieldMode(chordFieldState.modeIndex - 1));
 
     // ── Humanization Controls ──
 
@@ -5984,6 +9677,7 @@ function setupChordFieldListeners() {
         cfMidiAllNotesOff();
         chordFieldState.midiOutChannel = parseInt(e.target.value, 10);
         console.log(`[ChordField] MIDI Out channel set to ${chordFieldState.midiOutChannel + 1}`);
+        renderRoutingMatrix();
     });
 }
 
@@ -6117,6 +9811,7 @@ function handleSamplePadPress(row, col) {
 
     if (row <= 4) {
         // ── Waveform tap: move nearest IN or OUT marker ──
+        undoPush('Sample markers', 'sample');
         const sample = window.audioEngine.trackSamples[trackIndex];
         const tapPos = (col + 0.5) / 8; // center of this column (0-1)
 
@@ -6154,6 +9849,7 @@ function handleSamplePadPress(row, col) {
         const isDecrease = col % 2 === 0;
         sampleEditState.selectedParam = param;
 
+        undoPush(`Sample ${param}`, 'sample');
         const adsr = window.audioEngine.trackSamples[trackIndex].adsr;
 
         // Step sizes
@@ -6274,9 +9970,10 @@ function drawEditorWaveform() {
     const data = sample.waveformData;
     if (!data) return;
 
+    const { startOffset, endOffset } = window.audioEngine.resolveParams(trackIndex, getTargetLocks());
     const trackColor = window.TRACK_COLORS ? window.TRACK_COLORS[trackIndex] : '#00e8a0';
-    const startX = sample.startOffset * width;
-    const endX = sample.endOffset * width;
+    const startX = startOffset * width;
+    const endX = endOffset * width;
 
     // Dimmed background
     ctx.fillStyle = 'rgba(0,0,0,0.4)';
@@ -6294,7 +9991,7 @@ function drawEditorWaveform() {
         const y = (height - barH) / 2;
         const normalized = i / data.length;
 
-        if (normalized < sample.startOffset || normalized > sample.endOffset) {
+        if (normalized < startOffset || normalized > endOffset) {
             ctx.globalAlpha = 0.12;
         } else {
             ctx.globalAlpha = 0.7;
@@ -6342,8 +10039,8 @@ function drawEditorWaveform() {
     const duration = sample.buffer ? sample.buffer.duration : 0;
     const startLabel = document.getElementById('editor-start-time');
     const endLabel = document.getElementById('editor-end-time');
-    if (startLabel) startLabel.textContent = `IN: ${(sample.startOffset * duration).toFixed(3)}s`;
-    if (endLabel) endLabel.textContent = `OUT: ${(sample.endOffset * duration).toFixed(3)}s`;
+    if (startLabel) startLabel.textContent = `IN: ${(startOffset * duration).toFixed(3)}s`;
+    if (endLabel) endLabel.textContent = `OUT: ${(endOffset * duration).toFixed(3)}s`;
 }
 
 function setupEditorWaveformDrag() {
@@ -6357,7 +10054,8 @@ function setupEditorWaveformDrag() {
         const x = (e.clientX - rect.left) / rect.width;
         const trackIndex = state.currentTrack;
         if (!window.audioEngine || !window.audioEngine.hasSample(trackIndex)) return;
-        const sample = window.audioEngine.trackSamples[trackIndex];
+        const sample = window.audioEngine.resolveParams(trackIndex, getTargetLocks());
+        undoPush('Sample markers', 'sample');
 
         // Detect proximity to start or end marker (within 3% of width)
         const startDist = Math.abs(x - sample.startOffset);
@@ -6379,9 +10077,9 @@ function setupEditorWaveformDrag() {
         if (!window.audioEngine) return;
 
         if (dragging === 'start') {
-            window.audioEngine.setStartOffset(trackIndex, x);
+            if (!setParamLock('startOffset', x)) window.audioEngine.setTrackStartOffset(trackIndex, x);
         } else if (dragging === 'end') {
-            window.audioEngine.setEndOffset(trackIndex, x);
+            window.audioEngine.setTrackEndOffset(trackIndex, x);
         }
         drawEditorWaveform();
     }
@@ -6411,8 +10109,7 @@ function drawADSRVisualizer() {
     const trackIndex = state.currentTrack;
     if (!window.audioEngine || !window.audioEngine.hasSample(trackIndex)) return;
 
-    const sample = window.audioEngine.trackSamples[trackIndex];
-    const adsr = sample.adsr;
+    const adsr = window.audioEngine.resolveParams(trackIndex, getTargetLocks()).adsr;
     const trackColor = window.TRACK_COLORS ? window.TRACK_COLORS[trackIndex] : '#00e8a0';
 
     // Normalize to fit canvas
@@ -6486,7 +10183,7 @@ function updateSampleEditor() {
 function updateADSRSliders() {
     const trackIndex = state.currentTrack;
     if (!window.audioEngine || !window.audioEngine.hasSample(trackIndex)) return;
-    const adsr = window.audioEngine.trackSamples[trackIndex].adsr;
+    const adsr = window.audioEngine.resolveParams(trackIndex, getTargetLocks()).adsr;
 
     const attackEl = document.getElementById('adsr-attack');
     const decayEl = document.getElementById('adsr-decay');
@@ -6534,13 +10231,11 @@ function setupSampleEditorListeners() {
         el.addEventListener('input', () => {
             const trackIndex = state.currentTrack;
             if (!window.audioEngine || !window.audioEngine.hasSample(trackIndex)) return;
+            undoPush(`Sample ${param}`, 'sample');
             const adsr = window.audioEngine.trackSamples[trackIndex].adsr;
+            const value = param === 'sustain' ? el.value / 100 : el.value / 1000; // ms → seconds
 
-            if (param === 'sustain') {
-                adsr.sustain = el.value / 100;
-            } else {
-                adsr[param] = el.value / 1000; // ms → seconds
-            }
+            if (!setParamLock(param, value)) adsr[param] = value;
             updateADSRLabels();
             drawADSRVisualizer();
         });
@@ -6571,11 +10266,7 @@ function setupEventListeners() {
     document.getElementById('btn-metronome').addEventListener('click', toggleMetronome);
 
     // BPM
-    document.getElementById('bpm-input').addEventListener('change', (e) => {
-        state.bpm = Math.max(20, Math.min(300, parseInt(e.target.value) || 120));
-        e.target.value = state.bpm;
-        updateClockTempo();
-    });
+    document.getElementById('bpm-input').addEventListener('change', (e) => setBpm(parseInt(e.target.value)));
 
     // Clock source
     document.getElementById('clock-source').addEventListener('change', (e) => {
@@ -6590,6 +10281,7 @@ function setupEventListeners() {
     // MIDI selects
     document.getElementById('midi-output-select').addEventListener('change', (e) => selectMidiOutput(e.target.value));
     document.getElementById('midi-input-select').addEventListener('change', (e) => selectMidiInput(e.target.value));
+    document.getElementById('note-input-select').addEventListener('change', (e) => selectNoteInput(e.target.value));
 
     // Top controls
     document.getElementById('ctrl-up').addEventListener('click', () => {
@@ -6627,14 +10319,19 @@ function setupEventListeners() {
     document.querySelectorAll('.scene-btn').forEach(btn => {
         btn.addEventListener('click', () => {
             const sceneIdx = parseInt(btn.dataset.scene);
+            if (sceneIdx === -1) return;
             if (state.copyMode === 'scene') {
                 executeCopy(sceneIdx);
             } else {
-                changeScene(sceneIdx);
+                launchScene(sceneIdx);
             }
         });
     });
 
+    document.getElementById('btn-scene-bank-prev').addEventListener('click', () => setSceneBank(state.sceneBank - 1));
+    document.getElementById('btn-scene-bank-next').addEventListener('click', () => setSceneBank(state.sceneBank + 1));
+    bindSceneList();
+
     // Page buttons
     document.getElementById('btn-page-0').addEventListener('click', () => changePage(0));
     document.getElementById('btn-page-1').addEventListener('click', () => changePage(1));
@@ -6642,12 +10339,24 @@ function setupEventListeners() {
     // Tempo modifier buttons
     document.querySelectorAll('.tempo-mod-btn').forEach(btn => {
         btn.addEventListener('click', () => {
-            const tempo = parseFloat(btn.dataset.tempo);
-            getCurrentTrack().tempoModifier = tempo;
-            renderAll();
+            setTempoModifier(parseTempoRatio(btn.dataset.tempo));
         });
     });
 
+    document.getElementById('tempo-custom').addEventListener('change', (e) => {
+        const value = parseTempoRatio(e.target.value);
+        if (value == null) {
+            updateStepInfo(); // restore the current rate
+            return;
+        }
+        setTempoModifier(value);
+    });
+
+    // Direction buttons
+    document.querySelectorAll('.direction-btn').forEach(btn => {
+        btn.addEventListener('click', () => setTrackDirection(btn.dataset.direction));
+    });
+
     // Track length slider
     document.getElementById('track-length-slider').addEventListener('input', (e) => {
         const len = parseInt(e.target.value);
@@ -6655,16 +10364,141 @@ function setupEventListeners() {
         document.getElementById('track-length-value').textContent = len;
     });
 
+    // Step pages
+    document.querySelectorAll('.step-page-btn').forEach(btn => {
+        btn.addEventListener('click', () => setStepPage(parseInt(btn.dataset.page)));
+    });
+    document.getElementById('btn-page-follow').addEventListener('click', togglePageFollow);
+
+    // Swing / Groove
+    document.getElementById('swing-global').addEventListener('input', (e) => {
+        state.swing = parseInt(e.target.value);
+        updateGrooveControls();
+    });
+    document.getElementById('swing-track').addEventListener('input', (e) => {
+        getCurrentTrack().swing = parseInt(e.target.value);
+        updateGrooveControls();
+    });
+    document.getElementById('btn-swing-track-override').addEventListener('click', () => {
+        const track = getCurrentTrack();
+        track.swing = track.swing == null ? state.swing : null;
+        updateGrooveControls();
+    });
+    document.getElementById('groove-global').addEventListener('change', (e) => {
+        state.groove = e.target.value || null;
+    });
+    document.getElementById('groove-track').addEventListener('change', (e) => {
+        getCurrentTrack().groove = e.target.value || null;
+    });
+    document.getElementById('btn-groove-import').addEventListener('click', importGrooveTemplates);
+
     // Copy buttons
     document.getElementById('btn-copy-step').addEventListener('click', () => startCopy('step'));
     document.getElementById('btn-copy-track').addEventListener('click', () => startCopy('track'));
     document.getElementById('btn-copy-scene').addEventListener('click', () => startCopy('scene'));
+    document.getElementById('btn-copy-page').addEventListener('click', () => startCopy('page'));
 
     // Pattern buttons
     document.getElementById('btn-shift-left').addEventListener('click', shiftPatternLeft);
     document.getElementById('btn-shift-right').addEventListener('click', shiftPatternRight);
     document.getElementById('btn-random').addEventListener('click', randomPattern);
+    document.getElementById('btn-undo').addEventListener('click', undo);
+    document.getElementById('btn-redo').addEventListener('click', redo);
+    updateUndoButtons();
+
+    // Euclidean generator
+    ['hits', 'steps', 'rotation'].forEach(param => {
+        document.getElementById(`euclid-${param}`).addEventListener('input', (e) => {
+            setEuclidParam(param, parseInt(e.target.value));
+        });
+    });
+    document.getElementById('btn-euclid-generate').addEventListener('click', generateEuclidean);
+    document.getElementById('btn-euclid-live').addEventListener('click', toggleEuclidLive);
+
+    // Mute / solo / groups
+    document.getElementById('mute-group-select').addEventListener('change', (e) => {
+        setTrackGroup('muteGroup', e.target.value === '' ? null : parseInt(e.target.value));
+    });
+    document.getElementById('choke-group-select').addEventListener('change', (e) => {
+        setTrackGroup('chokeGroup', e.target.value === '' ? null : parseInt(e.target.value));
+    });
+    document.querySelectorAll('.mute-group-btn').forEach(btn => {
+        btn.addEventListener('click', () => toggleMuteGroup(parseInt(btn.dataset.group)));
+    });
+    document.getElementById('btn-mute-quantize').addEventListener('click', toggleMuteQuantize);
+    document.getElementById('btn-clear-solo').addEventListener('click', clearSolo);
+
+    // Project key / scale pitch pads and live transpose
+    document.getElementById('project-key').addEventListener('change', (e) => setProjectKey(parseInt(e.target.value)));
+    document.getElementById('project-scale').addEventListener('change', (e) => {
+        setProjectScale(e.target.value === '' ? null : parseInt(e.target.value));
+    });
+    document.getElementById('transpose-mode').addEventListener('change', (e) => setTransposeMode(e.target.value));
+    document.getElementById('btn-transpose-down').addEventListener('click', () => setTranspose(state.transpose - 1));
+    document.getElementById('btn-transpose-up').addEventListener('click', () => setTranspose(state.transpose + 1));
+    document.getElementById('btn-transpose-reset').addEventListener('click', () => setTranspose(0));
+    document.getElementById('btn-drum-track').addEventListener('click', toggleDrumTrack);
+
+    // Recording from the note input keyboard
+    document.getElementById('record-input-mode').addEventListener('change', (e) => setRecordInputMode(e.target.value));
+    document.getElementById('btn-record').addEventListener('click', toggleRecordMode);
+    document.getElementById('record-take').addEventListener('change', (e) => setRecordTake(e.target.value));
+    document.getElementById('input-quantize-grid').addEventListener('change', (e) => {
+        setInputQuantize('grid', parseFloat(e.target.value));
+    });
+    document.getElementById('input-quantize-strength').addEventListener('input', (e) => {
+        setInputQuantize('strength', parseInt(e.target.value));
+    });
+    document.getElementById('btn-keep-timing').addEventListener('click', () => {
+        setInputQuantize('keepTiming', !state.inputQuantize.keepTiming);
+    });
+
+    // Scene launch quantize and follow actions
+    document.getElementById('launch-quantize').addEventListener('change', (e) => {
+        state.launchQuantize = parseInt(e.target.value);
+    });
+    document.getElementById('follow-action').addEventListener('change', (e) => setFollowAction('action', e.target.value));
+    document.getElementById('follow-bars').addEventListener('change', (e) => {
+        setFollowAction('bars', Math.max(1, Math.min(64, parseInt(e.target.value) || 1)));
+    });
+    document.getElementById('follow-target').addEventListener('change', (e) => setFollowAction('target', parseInt(e.target.value)));
+    updateSceneLaunchControls();
+
+    // Song / arrangement
+    bindSongControls();
+    bindMidiMapControls();
+    bindRoutingControls();
+    bindThruControls();
+    renderSongList();
+
+    // Chords (selected step)
+    document.getElementById('chord-key').addEventListener('change', (e) => setTrackChordKey(parseInt(e.target.value)));
+    document.getElementById('chord-scale').addEventListener('change', (e) => setStepChordScale(parseInt(e.target.value)));
+    document.getElementById('chord-play-mode').addEventListener('change', (e) => setStepChordPlayMode(parseInt(e.target.value)));
     document.getElementById('btn-clear').addEventListener('click', clearPattern);
+    document.getElementById('btn-fill').addEventListener('click', toggleFill);
+
+    // Track CC knobs and parameter locks
+    document.querySelectorAll('.cc-slider').forEach(el => {
+        el.addEventListener('input', () => setTrackCC(parseInt(el.dataset.ccSlot), parseInt(el.value)));
+    });
+    document.querySelectorAll('.cc-num').forEach(el => {
+        el.addEventListener('change', () => setTrackCCNumber(parseInt(el.dataset.ccSlot), parseInt(el.value)));
+    });
+    document.getElementById('btn-plock').addEventListener('click', toggleLockMode);
+    document.getElementById('btn-plock-clear').addEventListener('click', clearStepLocks);
+
+    // CC automation lanes
+    document.getElementById('cc-lane-select').addEventListener('change', (e) => {
+        state.ccLane = parseInt(e.target.value) || 0;
+        updateCCLaneControls();
+        renderGrid();
+    });
+    document.getElementById('btn-cc-lane-add').addEventListener('click', addCCLane);
+    document.getElementById('btn-cc-lane-remove').addEventListener('click', removeCCLane);
+    document.getElementById('cc-lane-number').addEventListener('change', (e) => setCCLaneNumber(parseInt(e.target.value)));
+    document.getElementById('btn-cc-lane-smooth').addEventListener('click', toggleCCLaneSmooth);
+    setupCCLaneEditor();
 
     // Save / Load
     document.getElementById('btn-save').addEventListener('click', saveProject);
@@ -6777,7 +10611,8 @@ function setupEventListeners() {
     // Sample slot controls
     document.getElementById('sample-gain').addEventListener('input', (e) => {
         const val = parseInt(e.target.value);
-        if (window.audioEngine) {
+        undoPush('Sample gain', 'sample');
+        if (!setParamLock('gain', val / 100) && window.audioEngine) {
             window.audioEngine.setTrackGain(state.currentTrack, val / 100);
         }
         document.getElementById('sample-gain-value').textContent = `${val}%`;
@@ -6785,7 +10620,8 @@ function setupEventListeners() {
 
     document.getElementById('sample-pitch').addEventListener('input', (e) => {
         const val = parseInt(e.target.value);
-        if (window.audioEngine) {
+        undoPush('Sample pitch', 'sample');
+        if (!setParamLock('pitch', val / 100) && window.audioEngine) {
             window.audioEngine.setTrackPitch(state.currentTrack, val / 100);
         }
         document.getElementById('sample-pitch-value').textContent = `${(val / 100).toFixed(2)}x`;
@@ -6793,6 +10629,7 @@ function setupEventListeners() {
 
     document.getElementById('btn-remove-sample').addEventListener('click', () => {
         if (window.audioEngine) {
+            undoPush('Remove sample', 'sample');
             window.audioEngine.removeSample(state.currentTrack);
             updateSampleSlotUI();
             renderTrackList();
@@ -6806,6 +10643,10 @@ function setupEventListeners() {
         }
     });
 
+    document.getElementById('rhodes-volume').addEventListener('input', (e) => {
+        setRhodesVolume(parseInt(e.target.value) / 100);
+    });
+
     // Ensure audio context is resumed on first user interaction
     document.addEventListener('click', () => {
         if (window.audioEngine && window.audioEngine.audioContext) {
@@ -6823,7 +10664,8 @@ function setupEventListeners() {
                 togglePlay();
                 break;
             case 'Escape':
-                stop();
+                if (_midiLearn) cancelMidiLearn();
+                else stop();
                 break;
             case 'ArrowLeft':
                 shiftPatternLeft();
@@ -6841,15 +10683,27 @@ function setupEventListeners() {
                 toggleMode();
                 break;
             case 'Digit1': case 'Digit2': case 'Digit3': case 'Digit4':
-                changeScene(parseInt(e.code.slice(-1)) - 1);
+                {
+                    const sceneIdx = getScenePadScene(parseInt(e.code.slice(-1)) - 1);
+                    if (sceneIdx !== -1) launchScene(sceneIdx);
+                }
                 break;
             case 'KeyR':
                 randomPattern();
                 break;
+            case 'KeyF':
+                toggleFill();
+                break;
             case 'KeyC':
                 if (e.metaKey || e.ctrlKey) return;
                 clearPattern();
                 break;
+            case 'KeyZ':
+                if (!e.metaKey && !e.ctrlKey) return;
+                e.preventDefault();
+                if (e.shiftKey) redo();
+                else undo();
+                break;
         }
     });
 }
@@ -6861,6 +10715,7 @@ function setupEventListeners() {
 async function init() {
     buildGrid();
     buildSideButtons();
+    populateGrooveSelects();
     renderAll();
     setupEventListeners();
     setupSampleEditorListeners();
@@ -438,9 +438,40 @@ class OctadreAudioEngine {
     // PLAYBACK
     // ──────────────────────────────────────────────
 
-    playSample(trackIndex, velocity = 127) {
+    /**
+     * Track playback params with per-step parameter locks applied on top.
+     * locks: { gain, pitch, startOffset, attack, decay, sustain, release } — any subset, or null
+     */
+    resolveParams(trackIndex, locks = null) {
+        const sample = this.trackSamples[trackIndex];
+        const adsr = { ...sample.adsr };
+        if (!locks) {
+            return { gain: sample.gain, pitch: sample.pitch, startOffset: sample.startOffset, endOffset: sample.endOffset, adsr };
+        }
+        ['attack', 'decay', 'sustain', 'release'].forEach(k => {
+            if (locks[k] != null) adsr[k] = locks[k];
+        });
+        const startOffset = locks.startOffset != null
+            ? Math.max(0, Math.min(locks.startOffset, sample.endOffset - 0.01))
+            : sample.startOffset;
+        return {
+            gain: locks.gain ?? sample.gain,
+            pitch: locks.pitch ?? sample.pitch,
+            startOffset,
+            endOffset: sample.endOffset,
+            adsr
+        };
+    }
+
+    /**
+     * Play a track's sample. `when` is an AudioContext time (seconds) for
+     * sample-accurate scheduling from the sequencer; 0 = play immediately.
+     * `locks` are the step's parameter locks (see resolveParams).
+     */
+    playSample(trackIndex, velocity = 127, when = 0, locks = null) {
         const sample = this.trackSamples[trackIndex];
         if (!sample || !sample.buffer || !this.audioContext) return;
+        const params = this.resolveParams(trackIndex, locks);
 
         // Resume context if suspended (browser autoplay policy)
         if (this.audioContext.state === 'suspended') {
@@ -449,14 +480,14 @@ class OctadreAudioEngine {
 
         const source = this.audioContext.createBufferSource();
         source.buffer = sample.buffer;
-        source.playbackRate.value = sample.pitch;
+        source.playbackRate.value = params.pitch;
 
         // Per-track gain with ADSR envelope
         const trackGain = this.audioContext.createGain();
         const velocityScale = velocity / 127;
-        const peakGain = sample.gain * velocityScale;
-        const adsr = sample.adsr;
-        const now = this.audioContext.currentTime;
+        const peakGain = params.gain * velocityScale;
+        const adsr = params.adsr;
+        const now = Math.max(when, this.audioContext.currentTime);
 
         // ADSR envelope
         trackGain.gain.setValueAtTime(0, now);
@@ -468,9 +499,9 @@ class OctadreAudioEngine {
 
         // Calculate start/end offsets
         const duration = sample.buffer.duration;
-        const startTime = sample.startOffset * duration;
-        const endTime = sample.endOffset * duration;
-        const playDuration = (endTime - startTime) / sample.pitch;
+        const startTime = params.startOffset * duration;
+        const endTime = params.endOffset * duration;
+        const playDuration = (endTime - startTime) / params.pitch;
 
         // Schedule release at the end of the clip
         const releaseStart = now + playDuration - adsr.release;
@@ -480,15 +511,15 @@ class OctadreAudioEngine {
         }
 
         // Stop any previous voices on this track (for one-shot behavior)
-        this.stopTrack(trackIndex);
+        this.stopTrack(trackIndex, now);
 
-        source.start(0, startTime, endTime - startTime);
+        source.start(now, startTime, endTime - startTime);
 
         // Track active voice
         if (!this.activeVoices.has(trackIndex)) {
             this.activeVoices.set(trackIndex, []);
         }
-        const voice = { source, gainNode: trackGain };
+        const voice = { source, gainNode: trackGain, start: now };
         this.activeVoices.get(trackIndex).push(voice);
 
         // Cleanup when done
@@ -505,10 +536,15 @@ class OctadreAudioEngine {
     /**
      * Play a sample at a specific pitch multiplier (for chromatic keyboard).
      * pitchMultiplier: 1.0 = original, 2.0 = octave up, 0.5 = octave down
+     * when: AudioContext time to start at (0 = immediately)
+     * locks: step parameter locks — a pitch lock scales the note's multiplier
+     * poly: keep the track's other voices ringing (chord voices after the first)
      */
-    playSampleAtPitch(trackIndex, velocity = 127, pitchMultiplier = 1.0) {
+    playSampleAtPitch(trackIndex, velocity = 127, pitchMultiplier = 1.0, when = 0, locks = null, poly = false) {
         const sample = this.trackSamples[trackIndex];
         if (!sample || !sample.buffer || !this.audioContext) return;
+        const params = this.resolveParams(trackIndex, locks);
+        if (locks && locks.pitch != null) pitchMultiplier *= locks.pitch;
 
         if (this.audioContext.state === 'suspended') {
             this.audioContext.resume();
@@ -521,9 +557,9 @@ class OctadreAudioEngine {
         // Per-track gain with ADSR envelope
         const trackGain = this.audioContext.createGain();
         const velocityScale = velocity / 127;
-        const peakGain = sample.gain * velocityScale;
-        const adsr = sample.adsr;
-        const now = this.audioContext.currentTime;
+        const peakGain = params.gain * velocityScale;
+        const adsr = params.adsr;
+        const now = Math.max(when, this.audioContext.currentTime);
 
         // ADSR envelope
         trackGain.gain.setValueAtTime(0, now);
@@ -534,8 +570,8 @@ class OctadreAudioEngine {
         trackGain.connect(this.compressor);
 
         const duration = sample.buffer.duration;
-        const startTime = sample.startOffset * duration;
-        const endTime = sample.endOffset * duration;
+        const startTime = params.startOffset * duration;
+        const endTime = params.endOffset * duration;
         const playDuration = (endTime - startTime) / pitchMultiplier;
 
         // Schedule release
@@ -545,20 +581,24 @@ class OctadreAudioEngine {
             trackGain.gain.linearRampToValueAtTime(0, releaseStart + adsr.release);
         }
 
-        // Hard-kill any previous voices immediately (no fade)
+        // Hard-kill any previous voices at the new voice's start (no fade).
+        // Scheduled-ahead voices can't be disconnected yet — they'd go silent early.
         const prevVoices = this.activeVoices.get(trackIndex);
-        if (prevVoices) {
+        if (prevVoices && !poly) {
             prevVoices.forEach(v => {
-                try { v.source.stop(0); v.gainNode.disconnect(); } catch (e) { }
+                try {
+                    v.source.stop(now);
+                    if (now <= this.audioContext.currentTime) v.gainNode.disconnect();
+                } catch (e) { }
             });
             this.activeVoices.set(trackIndex, []);
         }
-        source.start(0, startTime, endTime - startTime);
+        source.start(now, startTime, endTime - startTime);
 
         if (!this.activeVoices.has(trackIndex)) {
             this.activeVoices.set(trackIndex, []);
         }
-        const voice = { source, gainNode: trackGain };
+        const voice = { source, gainNode: trackGain, start: now };
         this.activeVoices.get(trackIndex).push(voice);
 
         source.onended = () => {
@@ -571,15 +611,23 @@ class OctadreAudioEngine {
         };
     }
 
-    stopTrack(trackIndex) {
+    // Fade out and stop a track's voices at `when` (AudioContext time, 0 = now)
+    stopTrack(trackIndex, when = 0) {
         const voices = this.activeVoices.get(trackIndex);
         if (!voices) return;
 
+        const t = Math.max(when, this.audioContext.currentTime);
         voices.forEach(voice => {
             try {
-                voice.gainNode.gain.setValueAtTime(voice.gainNode.gain.value, this.audioContext.currentTime);
-                voice.gainNode.gain.linearRampToValueAtTime(0, this.audioContext.currentTime + 0.005);
-                voice.source.stop(this.audioContext.currentTime + 0.01);
+                const g = voice.gainNode.gain;
+                if (g.cancelAndHoldAtTime) {
+                    g.cancelAndHoldAtTime(t);
+                } else {
+                    g.cancelScheduledValues(t);
+                    g.setValueAtTime(g.value, t);
+                }
+                g.linearRampToValueAtTime(0, t + 0.005);
+                voice.source.stop(t + 0.01);
             } catch (e) {
                 // Source may already have stopped
             }
@@ -587,6 +635,38 @@ class OctadreAudioEngine {
         this.activeVoices.set(trackIndex, []);
     }
 
+    // Choke groups: fade out voices of these tracks that started before `when`.
+    // Voices scheduled to start later belong to later hits and keep playing.
+    chokeTracks(trackIndices, when = 0) {
+        if (!this.audioContext) return;
+        const t = Math.max(when, this.audioContext.currentTime);
+        trackIndices.forEach(trackIndex => {
+            const voices = this.activeVoices.get(trackIndex);
+            if (!voices) return;
+            const keep = [];
+            voices.forEach(voice => {
+                if (voice.start >= t) {
+                    keep.push(voice);
+                    return;
+                }
+                try {
+                    const g = voice.gainNode.gain;
+                    if (g.cancelAndHoldAtTime) {
+                        g.cancelAndHoldAtTime(t);
+                    } else {
+                        g.cancelScheduledValues(t);
+                        g.setValueAtTime(g.value, t);
+                    }
+                    g.linearRampToValueAtTime(0, t + 0.005);
+                    voice.source.stop(t + 0.01);
+                } catch (e) {
+                    // Source may already have stopped
+                }
+            });
+            this.activeVoices.set(trackIndex, keep);
+        });
+    }
+
     stopAll() {
         for (let i = 0; i < 16; i++) {
             this.stopTrack(i);
@@ -48,7 +48,7 @@
             position: 'bottom',
             icon: '▲',
             title: 'Control Mode',
-            body: 'Use <strong>▲ / ▼</strong> to cycle between Length, Velocity, and Octave editing modes.',
+            body: 'Use <strong>▲ / ▼</strong> to cycle between Length, Velocity, Octave, Probability, Condition, Ratchet, Micro-timing and CC Lane editing modes.',
             trigger: 'ctrl-mode'
         },
         'first-shift': {
@@ -84,8 +84,9 @@ class RhodesSynth {
     }
 
     // Create an FM Rhodes voice for a single note
-    createVoice(midiNote, velocity) {
-        const now = this.ctx.currentTime;
+    // `when` = AudioContext start time (0 = now), used by the sequencer's lookahead scheduler
+    createVoice(midiNote, velocity, when = 0) {
+        const now = Math.max(when, this.ctx.currentTime);
         const freq = this.midiToFreq(midiNote);
         const vel = velocity / 127;
 
@@ -174,29 +175,34 @@ class RhodesSynth {
     }
 
     // Play a single note
-    noteOn(midiNote, velocity = 100) {
+    noteOn(midiNote, velocity = 100, when = 0) {
         if (!this.initialized) this.init();
 
         // Release existing voice on this note
         if (this.voices.has(midiNote)) {
-            this.noteOff(midiNote);
+            this.noteOff(midiNote, when);
         }
 
-        const voice = this.createVoice(midiNote, velocity);
+        const voice = this.createVoice(midiNote, velocity, when);
         this.voices.set(midiNote, voice);
     }
 
     // Release a single note
-    noteOff(midiNote) {
+    noteOff(midiNote, when = 0) {
         const voice = this.voices.get(midiNote);
         if (!voice) return;
 
-        const now = this.ctx.currentTime;
+        const now = Math.max(when, this.ctx.currentTime);
+        const env = voice.ampEnv.gain;
 
         // Warm release tail (~0.5s)
-        voice.ampEnv.gain.cancelScheduledValues(now);
-        voice.ampEnv.gain.setValueAtTime(voice.ampEnv.gain.value, now);
-        voice.ampEnv.gain.exponentialRampToValueAtTime(0.001, now + 0.5);
+        if (env.cancelAndHoldAtTime) {
+            env.cancelAndHoldAtTime(now);
+        } else {
+            env.cancelScheduledValues(now);
+            env.setValueAtTime(env.value, now);
+        }
+        env.exponentialRampToValueAtTime(0.001, now + 0.5);
 
         // Stop oscillators after release
         const stopTime = now + 0.55;
@@ -208,11 +214,11 @@ class RhodesSynth {
     }
 
     // Play a chord (array of MIDI notes)
-    playChord(notes, velocity = 100, autoReleaseDuration = null) {
+    playChord(notes, velocity = 100, autoReleaseDuration = null, when = 0) {
         if (!this.initialized) this.init();
 
         notes.forEach(note => {
-            this.noteOn(note, velocity);
+            this.noteOn(note, velocity, when);
         });
 
         // Optional auto-release after duration
@@ -224,9 +230,9 @@ class RhodesSynth {
     }
 
     // Release specific chord notes
-    releaseChord(notes) {
+    releaseChord(notes, when = 0) {
         notes.forEach(note => {
-            this.noteOff(note);
+            this.noteOff(note, when);
         });
     }
 